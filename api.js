@@ -0,0 +1,482 @@
+/* ===========================
+   API-klient og datamodell
+   =========================== */
+
+// Lastes etter stages.js og rules.js og før live.js. All henting går hit, og
+// svarene fra /live, /teams og /players gjøres om til modellen under én gang,
+// slik at visningene aldri leser råfeltene (home_p1, raw_json ...). Uten React;
+// testes i test/api.test.js.
+
+const DEFAULT_API_BASE = "https://volleyball.ronesse.no";
+
+/*
+  Hvor API-et ligger, i denne rekkefølgen:
+    ?api=http://localhost:8787           lokal stand-in-server (dev/mock-server.js);
+                                         kun localhost godtas fra adressen
+    <meta name="volley-api" content="…"> satt i siden for hvert miljø (http/https,
+                                         gjerne med sti: https://example.no/api)
+    DEFAULT_API_BASE
+*/
+function resolveApiBase(search, configured) {
+  try {
+    const u = new URL(new URLSearchParams(search || "").get("api") || "");
+    if (u.hostname === "localhost" || u.hostname === "127.0.0.1") return u.origin;
+  } catch (e) {}
+
+  if (nonEmpty(configured)) {
+    try {
+      const u = new URL(asStr(configured));
+      if (u.protocol === "https:" || u.protocol === "http:") return (u.origin + u.pathname).replace(/\/+$/, "");
+    } catch (e) {}
+    console.warn("Ugyldig volley-api i siden, bruker " + DEFAULT_API_BASE + ":", configured);
+  }
+  return DEFAULT_API_BASE;
+}
+
+const API_BASE = resolveApiBase(
+  window.location.search,
+  typeof document !== "undefined" ? document.querySelector('meta[name="volley-api"]')?.content : null
+);
+
+const LIVE_PATH = "/live";
+const TEAMS_PATH = "/teams";
+const PLAYERS_PATH = "/players";
+// /teams og /players hentes side for side (limit/offset), se fetchAllPages
+const PAGE_SIZE = 1000;
+const MAX_PAGES = 100;
+const STREAM_PATH = "/live/stream";
+// home_p1 ... home_p5 i /live
+const SET_COLUMNS = 5;
+const STREAM_RETRY_MS = [1000, 2000, 5000, 10000, 30000];
+
+/* ===========================
+   Generelle helpers
+   =========================== */
+function safeArray(x) { return Array.isArray(x) ? x : []; }
+function asStr(v){ return (v == null) ? "" : String(v).trim(); }
+function nonEmpty(v){ const s = asStr(v); return s ? s : null; }
+function asNum(v){
+  if (v == null || v === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+/* ===========================
+   Valideringsfeil
+   =========================== */
+
+// where sier hvor i svaret feilen er: "/live[3]", "/teams[12]", "live-strømmen"
+function apiDataError(where, message) {
+  const err = new Error(where + ": " + message);
+  err.name = "ApiDataError";
+  err.where = where;
+  return err;
+}
+
+function isApiDataError(e) {
+  return !!e && e.name === "ApiDataError";
+}
+
+// Tomt felt er null; noe annet enn et tall er en feil
+function numberField(row, name, where) {
+  const v = row[name];
+  if (v == null || v === "") return null;
+  const n = asNum(v);
+  if (n == null) throw apiDataError(where, name + " er ikke et tall (" + JSON.stringify(v) + ")");
+  return n;
+}
+
+// Lister kommer som [...] eller { items: [...] }
+function listFrom(data, where) {
+  if (Array.isArray(data)) return data;
+  if (data && Array.isArray(data.items)) return data.items;
+  throw apiDataError(where, "forventet en liste, fikk " + (data === null ? "null" : typeof data));
+}
+
+// Ugyldige rader hoppes over (med én advarsel per svar); resten brukes
+function normalizeList(data, where, normalizeRow) {
+  const out = [];
+  const errors = [];
+  listFrom(data, where).forEach((row, i) => {
+    try {
+      out.push(normalizeRow(row, where + "[" + i + "]"));
+    } catch (e) {
+      if (!isApiDataError(e)) throw e;
+      errors.push(e);
+    }
+  });
+  if (errors.length) {
+    console.warn(where + ": hoppet over " + errors.length + " ugyldige rader.", errors[0].message);
+  }
+  return out;
+}
+
+/* ===========================
+   Kamp (/live og live-strømmen)
+   =========================== */
+
+/*
+  {
+    id           event_id (eller custom_id); null hvis ingen av dem finnes
+    key          id som tekst, ellers starttid + lagnavn; nøkkel i lister og tilstand
+    statusType   "inprogress" | "finished" | "notstarted" | ... (se liveLabel)
+    statusDesc   "3rd set", "Ended" ...
+    startTs      sekunder (Sofascore startTimestamp) | null
+    homeId, awayId       Sofascore-lag-id | null
+    homeName, awayName
+    homeSets, awaySets   vunne sett fra backend | null
+    sets         [{ home, away } | null], ett element per sett i formatet;
+                 null er sett som ikke er startet (som rules.js vil ha dem)
+    homeRun, awayRun     poeng på rad i inneværende sett (backend)
+    newScore     true når oppdateringen er et nytt poeng
+    firstToServe "home" | "away" | null, første serve i kampen
+    tournament   navn, "—" når det mangler
+    season       navn | null
+    roundName    "Semifinal", "Round 12" ... | ""
+    format       MATCH_FORMATS-elementet (rules.js)
+    stage        fasen fra parseStage (stages.js) | null
+    raw          raw_json ferdig parset | null
+    hash         contentHash av hele raden; samme hash = ingenting er endret
+  }
+*/
+
+// FNV-1a (32 bit) av JSON-en; billig nok til å kjøres på hver rad i hver oppdatering
+function contentHash(value) {
+  const s = JSON.stringify(value) ?? "";
+  let h = 0x811c9dc5;
+  for (let i = 0; i < s.length; i++) {
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0).toString(36);
+}
+
+function parseRawJson(row, where) {
+  if (row.raw_json == null || row.raw_json === "") return null;
+  if (typeof row.raw_json === "object") return row.raw_json;
+  try {
+    return JSON.parse(row.raw_json);
+  } catch (e) {
+    throw apiDataError(where, "raw_json er ikke gyldig JSON");
+  }
+}
+
+function normalizeEvent(row, where = "kamp") {
+  if (!row || typeof row !== "object" || Array.isArray(row)) {
+    throw apiDataError(where, "forventet et objekt");
+  }
+
+  const homeName = asStr(row.home_team_name);
+  const awayName = asStr(row.away_team_name);
+  if (!homeName || !awayName) throw apiDataError(where, "mangler lagnavn");
+
+  const raw = parseRawJson(row, where);
+  const id = row.event_id ?? row.custom_id ?? null;
+  const startTs = numberField(row, "start_ts", where);
+
+  const tournament =
+    asStr(row.tournament_name) ||
+    asStr(row.tournament?.name) ||
+    asStr(raw?.tournament?.name) ||
+    asStr(raw?.uniqueTournament?.name);
+
+  const season =
+    asStr(row.season_name) ||
+    asStr(row.season?.name) ||
+    asStr(row.tournament?.season?.name) ||
+    asStr(raw?.season?.name) ||
+    asStr(raw?.tournament?.season?.name);
+
+  const sport =
+    asStr(row.sport_slug || row.sport) ||
+    asStr(raw?.tournament?.category?.sport?.slug) ||
+    asStr(raw?.tournament?.category?.sport?.name);
+
+  const roundName = asStr(row.round_name) || asStr(row.roundInfo?.name) || asStr(raw?.roundInfo?.name);
+
+  const aggHome = asNum(raw?.homeScore?.aggregated);
+  const aggAway = asNum(raw?.awayScore?.aggregated);
+  const stage = parseStage({
+    roundName: roundName,
+    round: asNum(row.round) ?? asNum(row.roundInfo?.round) ?? asNum(raw?.roundInfo?.round),
+    tournament: tournament,
+    group: asStr(row.group_type),
+    hasPreviousLeg: raw?.previousLegEventId != null,
+    aggregate: aggHome != null && aggAway != null ? { home: aggHome, away: aggAway } : null,
+  });
+
+  // Golden set gjelder bare kampen med det rundenavnet, ikke hele turneringen
+  const format = stage && stage.goldenSet
+    ? MATCH_FORMATS.goldenSet
+    : resolveFormat([sport, tournament, season, roundName].join(" "));
+
+  // Ett element per sett i formatet, og flere hvis raden har poeng der
+  // (feil format skal ikke kaste sett som faktisk er spilt)
+  const sets = [];
+  for (let i = 1; i <= SET_COLUMNS; i++) {
+    const h = numberField(row, "home_p" + i, where);
+    const a = numberField(row, "away_p" + i, where);
+    sets.push(h == null && a == null ? null : { home: h ?? 0, away: a ?? 0 });
+  }
+  while (sets.length > format.bestOf && sets[sets.length - 1] == null) sets.pop();
+
+  // Sofascore oppgir firstToServe som 1 (hjemme) eller 2 (borte)
+  const first = Number(raw?.firstToServe);
+
+  return {
+    id: id,
+    key: id != null ? String(id) : String(startTs ?? "") + "-" + homeName + "-" + awayName,
+    statusType: asStr(row.status_type),
+    statusDesc: asStr(row.status_desc),
+    startTs: startTs,
+    homeId: numberField(row, row.home_team_id != null ? "home_team_id" : "home_teams_id", where),
+    awayId: numberField(row, row.away_team_id != null ? "away_team_id" : "away_teams_id", where),
+    homeName: homeName,
+    awayName: awayName,
+    homeSets: numberField(row, "home_sets", where),
+    awaySets: numberField(row, "away_sets", where),
+    sets: sets,
+    homeRun: numberField(row, "home_point_run", where) ?? 0,
+    awayRun: numberField(row, "away_point_run", where) ?? 0,
+    newScore: Number(row.new_score) === 1,
+    firstToServe: first === 1 ? "home" : first === 2 ? "away" : null,
+    tournament: tournament || "—",
+    season: season || null,
+    roundName: roundName,
+    format: format,
+    stage: stage,
+    raw: raw,
+    hash: contentHash(row),
+  };
+}
+
+function normalizeEvents(data, where = LIVE_PATH) {
+  return normalizeList(data, where, normalizeEvent);
+}
+
+/* ===========================
+   Lag (/teams)
+   =========================== */
+
+// { id: Sofascore-lag-id, name, country, league }; land og liga er "" når de mangler
+function normalizeTeam(row, where = "lag") {
+  if (!row || typeof row !== "object") throw apiDataError(where, "forventet et objekt");
+
+  const id = numberField(row, "sofascore_team_id", where);
+  if (id == null) throw apiDataError(where, "mangler sofascore_team_id");
+
+  return {
+    id: id,
+    name: asStr(row.name || row.team_name || row.short_name) || "—",
+    country: asStr(row.country),
+    league: asStr(row.league),
+  };
+}
+
+function normalizeTeams(data, where = "/teams") {
+  return normalizeList(data, where, normalizeTeam);
+}
+
+/* ===========================
+   Spillere (/players)
+   =========================== */
+
+// { id: tekst, name, nationality | null, sofascoreTeamId }
+function normalizePlayer(row, where = "spiller") {
+  if (!row || typeof row !== "object") throw apiDataError(where, "forventet et objekt");
+
+  const id = nonEmpty(row.id);
+  if (!id) throw apiDataError(where, "mangler id");
+
+  const sofascoreTeamId = numberField(row, "sofascore_team_id", where);
+  if (sofascoreTeamId == null) throw apiDataError(where, "mangler sofascore_team_id");
+
+  return {
+    id: id,
+    name: asStr(row.name) || "—",
+    nationality: nonEmpty(row.nationality),
+    sofascoreTeamId: sofascoreTeamId,
+  };
+}
+
+function normalizePlayers(data, where = "/players") {
+  return normalizeList(data, where, normalizePlayer);
+}
+
+/* ===========================
+   URL-regler
+   =========================== */
+
+function teamLogoUrl(sofaTeamId) {
+  const id = nonEmpty(sofaTeamId);
+  if (!id) return null;
+  return API_BASE + "/img/teams/" + id + ".png";
+}
+
+function playerPhotoUrl(playerId) {
+  const id = nonEmpty(playerId);
+  if (!id) return null;
+  return API_BASE + "/img/players/" + id + ".jpg";
+}
+
+/* ===========================
+   Henting
+   =========================== */
+
+// staleSince: uten nett svarer service workeren (sw.js) med siste lagrede kopi
+// og tidspunktet den ble hentet (ms, 0 = ukjent). Ellers null.
+async function fetchJsonMeta(path, signal) {
+  const res = await fetch(API_BASE + path, {
+    headers: { "Accept": "application/json" },
+    signal: signal,
+    cache: "no-store",
+  });
+  if (!res.ok) throw new Error(String(res.status) + " " + String(res.statusText));
+  return {
+    data: await res.json(),
+    staleSince: asNum(res.headers.get("X-Volley-Offline")),
+  };
+}
+
+// { events, staleSince }
+async function fetchLive(signal) {
+  const { data, staleSince } = await fetchJsonMeta(LIVE_PATH, signal);
+  return { events: normalizeEvents(data), staleSince: staleSince };
+}
+
+/*
+  Henter /teams eller /players side for side til en side er kortere enn limit
+  eller total i svaret ({ items, total }) er nådd. Rader som dukker opp på to
+  sider (lista endret seg underveis) tas med én gang, etter id.
+
+  onPage(items)  alt så langt, etter hver side
+  -> { items, complete, staleSince }
+     complete    false hvis vi ga opp: MAX_PAGES, eller en full side uten nye
+                 rader (serveren ser bort fra offset)
+     staleSince  som i fetchJsonMeta, hvis en av sidene kom fra service workeren
+*/
+async function fetchAllPages(path, normalize, signal, onPage) {
+  const byId = new Map();
+  let staleSince = null;
+
+  for (let page = 0; page < MAX_PAGES; page++) {
+    const offset = page * PAGE_SIZE;
+    const meta = await fetchJsonMeta(path + "?limit=" + PAGE_SIZE + "&offset=" + offset, signal);
+    if (meta.staleSince != null && staleSince == null) staleSince = meta.staleSince;
+
+    const rows = listFrom(meta.data, path);
+    const items = normalize(meta.data, path + "?offset=" + offset);
+    const before = byId.size;
+    for (const item of items) {
+      if (!byId.has(item.id)) byId.set(item.id, item);
+    }
+    if (onPage) onPage([...byId.values()]);
+
+    const total = asNum(meta.data && meta.data.total);
+    if (rows.length < PAGE_SIZE || (total != null && offset + rows.length >= total)) {
+      return { items: [...byId.values()], complete: true, staleSince: staleSince };
+    }
+    if (items.length && byId.size === before) {
+      console.warn(path + ": side " + (page + 1) + " ga ingen nye rader, stopper.");
+      return { items: [...byId.values()], complete: false, staleSince: staleSince };
+    }
+  }
+
+  console.warn(path + ": stoppet etter " + MAX_PAGES + " sider.");
+  return { items: [...byId.values()], complete: false, staleSince: staleSince };
+}
+
+async function fetchTeams(signal, onPage) {
+  return fetchAllPages(TEAMS_PATH, normalizeTeams, signal, onPage);
+}
+
+async function fetchPlayers(signal, onPage) {
+  return fetchAllPages(PLAYERS_PATH, normalizePlayers, signal, onPage);
+}
+
+/* ===========================
+   Live-strøm (SSE)
+   =========================== */
+
+/*
+  GET /live/stream (text/event-stream):
+    event: snapshot   data: [ ...events ]   hele /live-lista
+    event: update     data: { ...event }    én kamp endret (hel rad, samme felter som /live)
+    event: remove     data: { event_id }    kampen er ute av lista
+  Hver melding har en id. Ved ny tilkobling sendes siste id som ?last_event_id=,
+  og serveren spiller av det vi gikk glipp av (eller sender et nytt snapshot).
+
+  Handlerne får modellen over: onSnapshot(events), onUpdate(event), onRemove(key).
+*/
+function connectLiveStream(handlers) {
+  let source = null;
+  let lastId = null;
+  let attempt = 0;
+  let retryTimer = null;
+  let closed = false;
+
+  // Ugyldige meldinger hoppes over; strømmen fortsetter
+  function receive(msg, normalize, handler) {
+    if (msg.lastEventId) lastId = msg.lastEventId;
+    let value;
+    try {
+      value = normalize(JSON.parse(msg.data));
+    } catch (e) {
+      console.warn("Ugyldig melding fra live-strømmen:", e);
+      return;
+    }
+    handler(value);
+  }
+
+  function removedKey(data) {
+    const id = data && typeof data === "object" ? (data.event_id ?? data.custom_id ?? null) : null;
+    if (id == null) throw apiDataError("live-strømmen", "remove mangler event_id");
+    return String(id);
+  }
+
+  function open() {
+    if (closed) return;
+
+    const url =
+      API_BASE + STREAM_PATH +
+      (lastId != null ? "?last_event_id=" + encodeURIComponent(lastId) : "");
+    source = new EventSource(url);
+
+    source.onopen = () => {
+      attempt = 0;
+      handlers.onOpen();
+    };
+
+    source.addEventListener("snapshot", (msg) => {
+      receive(msg, data => normalizeEvents(data, "live-strømmen"), handlers.onSnapshot);
+    });
+
+    source.addEventListener("update", (msg) => {
+      receive(msg, data => normalizeEvent(data, "live-strømmen"), handlers.onUpdate);
+    });
+
+    source.addEventListener("remove", (msg) => {
+      receive(msg, removedKey, handlers.onRemove);
+    });
+
+    // Nettleseren prøver ellers selv igjen i det uendelige. Vi lukker og styrer
+    // backoff selv, slik at polling kan ta over mens strømmen er nede.
+    source.onerror = () => {
+      source.close();
+      source = null;
+      handlers.onDown();
+
+      const delay = STREAM_RETRY_MS[Math.min(attempt, STREAM_RETRY_MS.length - 1)];
+      attempt++;
+      retryTimer = setTimeout(open, delay);
+    };
+  }
+
+  open();
+
+  return function close() {
+    closed = true;
+    clearTimeout(retryTimer);
+    if (source) source.close();
+  };
+}
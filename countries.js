@@ -0,0 +1,381 @@
+/* ===========================
+   Land (ISO 3166-1)
+   =========================== */
+
+// Lastes før live.js. Rene funksjoner uten React, som rules.js, og testes i
+// test/countries.test.js. Alle navn og alias sammenlignes normalisert
+// (små bokstaver, uten aksenter og punktum, & = and).
+
+// ISO-kode -> [engelsk, norsk]. XK (Kosovo) er ikke offisiell, men brukes.
+const COUNTRY_NAMES = {
+  AD: ["Andorra", "Andorra"],
+  AE: ["United Arab Emirates", "De forente arabiske emirater"],
+  AF: ["Afghanistan", "Afghanistan"],
+  AG: ["Antigua & Barbuda", "Antigua og Barbuda"],
+  AI: ["Anguilla", "Anguilla"],
+  AL: ["Albania", "Albania"],
+  AM: ["Armenia", "Armenia"],
+  AO: ["Angola", "Angola"],
+  AQ: ["Antarctica", "Antarktis"],
+  AR: ["Argentina", "Argentina"],
+  AS: ["American Samoa", "Amerikansk Samoa"],
+  AT: ["Austria", "Østerrike"],
+  AU: ["Australia", "Australia"],
+  AW: ["Aruba", "Aruba"],
+  AX: ["Åland Islands", "Åland"],
+  AZ: ["Azerbaijan", "Aserbajdsjan"],
+  BA: ["Bosnia & Herzegovina", "Bosnia-Hercegovina"],
+  BB: ["Barbados", "Barbados"],
+  BD: ["Bangladesh", "Bangladesh"],
+  BE: ["Belgium", "Belgia"],
+  BF: ["Burkina Faso", "Burkina Faso"],
+  BG: ["Bulgaria", "Bulgaria"],
+  BH: ["Bahrain", "Bahrain"],
+  BI: ["Burundi", "Burundi"],
+  BJ: ["Benin", "Benin"],
+  BL: ["St. Barthélemy", "Saint-Barthélemy"],
+  BM: ["Bermuda", "Bermuda"],
+  BN: ["Brunei", "Brunei"],
+  BO: ["Bolivia", "Bolivia"],
+  BQ: ["Caribbean Netherlands", "Karibisk Nederland"],
+  BR: ["Brazil", "Brasil"],
+  BS: ["Bahamas", "Bahamas"],
+  BT: ["Bhutan", "Bhutan"],
+  BV: ["Bouvet Island", "Bouvetøya"],
+  BW: ["Botswana", "Botswana"],
+  BY: ["Belarus", "Belarus"],
+  BZ: ["Belize", "Belize"],
+  CA: ["Canada", "Canada"],
+  CC: ["Cocos (Keeling) Islands", "Kokosøyene"],
+  CD: ["DR Congo", "DR Kongo"],
+  CF: ["Central African Republic", "Den sentralafrikanske republikk"],
+  CG: ["Congo", "Kongo-Brazzaville"],
+  CH: ["Switzerland", "Sveits"],
+  CI: ["Côte d'Ivoire", "Elfenbenskysten"],
+  CK: ["Cook Islands", "Cookøyene"],
+  CL: ["Chile", "Chile"],
+  CM: ["Cameroon", "Kamerun"],
+  CN: ["China", "Kina"],
+  CO: ["Colombia", "Colombia"],
+  CR: ["Costa Rica", "Costa Rica"],
+  CU: ["Cuba", "Cuba"],
+  CV: ["Cape Verde", "Kapp Verde"],
+  CW: ["Curaçao", "Curaçao"],
+  CX: ["Christmas Island", "Christmasøya"],
+  CY: ["Cyprus", "Kypros"],
+  CZ: ["Czechia", "Tsjekkia"],
+  DE: ["Germany", "Tyskland"],
+  DJ: ["Djibouti", "Djibouti"],
+  DK: ["Denmark", "Danmark"],
+  DM: ["Dominica", "Dominica"],
+  DO: ["Dominican Republic", "Den dominikanske republikk"],
+  DZ: ["Algeria", "Algerie"],
+  EC: ["Ecuador", "Ecuador"],
+  EE: ["Estonia", "Estland"],
+  EG: ["Egypt", "Egypt"],
+  EH: ["Western Sahara", "Vest-Sahara"],
+  ER: ["Eritrea", "Eritrea"],
+  ES: ["Spain", "Spania"],
+  ET: ["Ethiopia", "Etiopia"],
+  FI: ["Finland", "Finland"],
+  FJ: ["Fiji", "Fiji"],
+  FK: ["Falkland Islands", "Falklandsøyene"],
+  FM: ["Micronesia", "Mikronesiaføderasjonen"],
+  FO: ["Faroe Islands", "Færøyene"],
+  FR: ["France", "Frankrike"],
+  GA: ["Gabon", "Gabon"],
+  GB: ["United Kingdom", "Storbritannia"],
+  GD: ["Grenada", "Grenada"],
+  GE: ["Georgia", "Georgia"],
+  GF: ["French Guiana", "Fransk Guyana"],
+  GG: ["Guernsey", "Guernsey"],
+  GH: ["Ghana", "Ghana"],
+  GI: ["Gibraltar", "Gibraltar"],
+  GL: ["Greenland", "Grønland"],
+  GM: ["Gambia", "Gambia"],
+  GN: ["Guinea", "Guinea"],
+  GP: ["Guadeloupe", "Guadeloupe"],
+  GQ: ["Equatorial Guinea", "Ekvatorial-Guinea"],
+  GR: ["Greece", "Hellas"],
+  GS: ["South Georgia & South Sandwich Islands", "Sør-Georgia og Sør-Sandwichøyene"],
+  GT: ["Guatemala", "Guatemala"],
+  GU: ["Guam", "Guam"],
+  GW: ["Guinea-Bissau", "Guinea-Bissau"],
+  GY: ["Guyana", "Guyana"],
+  HK: ["Hong Kong", "Hongkong"],
+  HM: ["Heard & McDonald Islands", "Heard- og McDonaldøyene"],
+  HN: ["Honduras", "Honduras"],
+  HR: ["Croatia", "Kroatia"],
+  HT: ["Haiti", "Haiti"],
+  HU: ["Hungary", "Ungarn"],
+  ID: ["Indonesia", "Indonesia"],
+  IE: ["Ireland", "Irland"],
+  IL: ["Israel", "Israel"],
+  IM: ["Isle of Man", "Man"],
+  IN: ["India", "India"],
+  IO: ["British Indian Ocean Territory", "Det britiske territoriet i Indiahavet"],
+  IQ: ["Iraq", "Irak"],
+  IR: ["Iran", "Iran"],
+  IS: ["Iceland", "Island"],
+  IT: ["Italy", "Italia"],
+  JE: ["Jersey", "Jersey"],
+  JM: ["Jamaica", "Jamaica"],
+  JO: ["Jordan", "Jordan"],
+  JP: ["Japan", "Japan"],
+  KE: ["Kenya", "Kenya"],
+  KG: ["Kyrgyzstan", "Kirgisistan"],
+  KH: ["Cambodia", "Kambodsja"],
+  KI: ["Kiribati", "Kiribati"],
+  KM: ["Comoros", "Komorene"],
+  KN: ["St. Kitts & Nevis", "Saint Kitts og Nevis"],
+  KP: ["North Korea", "Nord-Korea"],
+  KR: ["South Korea", "Sør-Korea"],
+  KW: ["Kuwait", "Kuwait"],
+  KY: ["Cayman Islands", "Caymanøyene"],
+  KZ: ["Kazakhstan", "Kasakhstan"],
+  LA: ["Laos", "Laos"],
+  LB: ["Lebanon", "Libanon"],
+  LC: ["St. Lucia", "St. Lucia"],
+  LI: ["Liechtenstein", "Liechtenstein"],
+  LK: ["Sri Lanka", "Sri Lanka"],
+  LR: ["Liberia", "Liberia"],
+  LS: ["Lesotho", "Lesotho"],
+  LT: ["Lithuania", "Litauen"],
+  LU: ["Luxembourg", "Luxemburg"],
+  LV: ["Latvia", "Latvia"],
+  LY: ["Libya", "Libya"],
+  MA: ["Morocco", "Marokko"],
+  MC: ["Monaco", "Monaco"],
+  MD: ["Moldova", "Moldova"],
+  ME: ["Montenegro", "Montenegro"],
+  MF: ["St. Martin", "Saint-Martin"],
+  MG: ["Madagascar", "Madagaskar"],
+  MH: ["Marshall Islands", "Marshalløyene"],
+  MK: ["North Macedonia", "Nord-Makedonia"],
+  ML: ["Mali", "Mali"],
+  MM: ["Myanmar", "Myanmar"],
+  MN: ["Mongolia", "Mongolia"],
+  MO: ["Macao", "Macao"],
+  MP: ["Northern Mariana Islands", "Nord-Marianene"],
+  MQ: ["Martinique", "Martinique"],
+  MR: ["Mauritania", "Mauritania"],
+  MS: ["Montserrat", "Montserrat"],
+  MT: ["Malta", "Malta"],
+  MU: ["Mauritius", "Mauritius"],
+  MV: ["Maldives", "Maldivene"],
+  MW: ["Malawi", "Malawi"],
+  MX: ["Mexico", "Mexico"],
+  MY: ["Malaysia", "Malaysia"],
+  MZ: ["Mozambique", "Mosambik"],
+  NA: ["Namibia", "Namibia"],
+  NC: ["New Caledonia", "Ny-Caledonia"],
+  NE: ["Niger", "Niger"],
+  NF: ["Norfolk Island", "Norfolkøya"],
+  NG: ["Nigeria", "Nigeria"],
+  NI: ["Nicaragua", "Nicaragua"],
+  NL: ["Netherlands", "Nederland"],
+  NO: ["Norway", "Norge"],
+  NP: ["Nepal", "Nepal"],
+  NR: ["Nauru", "Nauru"],
+  NU: ["Niue", "Niue"],
+  NZ: ["New Zealand", "New Zealand"],
+  OM: ["Oman", "Oman"],
+  PA: ["Panama", "Panama"],
+  PE: ["Peru", "Peru"],
+  PF: ["French Polynesia", "Fransk Polynesia"],
+  PG: ["Papua New Guinea", "Papua Ny-Guinea"],
+  PH: ["Philippines", "Filippinene"],
+  PK: ["Pakistan", "Pakistan"],
+  PL: ["Poland", "Polen"],
+  PM: ["St. Pierre & Miquelon", "Saint-Pierre-et-Miquelon"],
+  PN: ["Pitcairn Islands", "Pitcairnøyene"],
+  PR: ["Puerto Rico", "Puerto Rico"],
+  PS: ["Palestine", "Palestina"],
+  PT: ["Portugal", "Portugal"],
+  PW: ["Palau", "Palau"],
+  PY: ["Paraguay", "Paraguay"],
+  QA: ["Qatar", "Qatar"],
+  RE: ["Réunion", "Réunion"],
+  RO: ["Romania", "Romania"],
+  RS: ["Serbia", "Serbia"],
+  RU: ["Russia", "Russland"],
+  RW: ["Rwanda", "Rwanda"],
+  SA: ["Saudi Arabia", "Saudi-Arabia"],
+  SB: ["Solomon Islands", "Salomonøyene"],
+  SC: ["Seychelles", "Seychellene"],
+  SD: ["Sudan", "Sudan"],
+  SE: ["Sweden", "Sverige"],
+  SG: ["Singapore", "Singapore"],
+  SH: ["St. Helena", "St. Helena"],
+  SI: ["Slovenia", "Slovenia"],
+  SJ: ["Svalbard & Jan Mayen", "Svalbard og Jan Mayen"],
+  SK: ["Slovakia", "Slovakia"],
+  SL: ["Sierra Leone", "Sierra Leone"],
+  SM: ["San Marino", "San Marino"],
+  SN: ["Senegal", "Senegal"],
+  SO: ["Somalia", "Somalia"],
+  SR: ["Suriname", "Surinam"],
+  SS: ["South Sudan", "Sør-Sudan"],
+  ST: ["São Tomé & Príncipe", "São Tomé og Príncipe"],
+  SV: ["El Salvador", "El Salvador"],
+  SX: ["Sint Maarten", "Sint Maarten"],
+  SY: ["Syria", "Syria"],
+  SZ: ["Eswatini", "Eswatini"],
+  TC: ["Turks & Caicos Islands", "Turks- og Caicosøyene"],
+  TD: ["Chad", "Tsjad"],
+  TF: ["French Southern Territories", "De franske sørterritorier"],
+  TG: ["Togo", "Togo"],
+  TH: ["Thailand", "Thailand"],
+  TJ: ["Tajikistan", "Tadsjikistan"],
+  TK: ["Tokelau", "Tokelau"],
+  TL: ["Timor-Leste", "Øst-Timor"],
+  TM: ["Turkmenistan", "Turkmenistan"],
+  TN: ["Tunisia", "Tunisia"],
+  TO: ["Tonga", "Tonga"],
+  TR: ["Türkiye", "Tyrkia"],
+  TT: ["Trinidad & Tobago", "Trinidad og Tobago"],
+  TV: ["Tuvalu", "Tuvalu"],
+  TW: ["Taiwan", "Taiwan"],
+  TZ: ["Tanzania", "Tanzania"],
+  UA: ["Ukraine", "Ukraina"],
+  UG: ["Uganda", "Uganda"],
+  UM: ["U.S. Outlying Islands", "USAs ytre småøyer"],
+  US: ["United States", "USA"],
+  UY: ["Uruguay", "Uruguay"],
+  UZ: ["Uzbekistan", "Usbekistan"],
+  VA: ["Vatican City", "Vatikanstaten"],
+  VC: ["St. Vincent & Grenadines", "St. Vincent og Grenadinene"],
+  VE: ["Venezuela", "Venezuela"],
+  VG: ["British Virgin Islands", "De britiske jomfruøyene"],
+  VI: ["U.S. Virgin Islands", "De amerikanske jomfruøyene"],
+  VN: ["Vietnam", "Vietnam"],
+  VU: ["Vanuatu", "Vanuatu"],
+  WF: ["Wallis & Futuna", "Wallis og Futuna"],
+  WS: ["Samoa", "Samoa"],
+  YE: ["Yemen", "Jemen"],
+  YT: ["Mayotte", "Mayotte"],
+  ZA: ["South Africa", "Sør-Afrika"],
+  ZM: ["Zambia", "Zambia"],
+  ZW: ["Zimbabwe", "Zimbabwe"],
+  XK: ["Kosovo", "Kosovo"],
+};
+
+// Flere skrivemåter enn navnene i tabellen (engelsk, norsk og Sofascore/FIVB)
+const COUNTRY_ALIASES = {
+  "usa": "US", "united states of america": "US",
+  "uk": "GB", "great britain": "GB", "britain": "GB",
+  "england": "GB", "scotland": "GB", "skottland": "GB", "wales": "GB",
+  "northern ireland": "GB", "nord-irland": "GB",
+  "holland": "NL", "the netherlands": "NL",
+  "czech republic": "CZ", "slovak republic": "SK",
+  "turkey": "TR", "turkiye": "TR",
+  "macedonia": "MK", "makedonia": "MK",
+  "bosnia": "BA", "bosnia-herzegovina": "BA",
+  "russian federation": "RU",
+  "korea": "KR", "korea republic": "KR", "republic of korea": "KR",
+  "dpr korea": "KP", "korea dpr": "KP",
+  "ir iran": "IR", "islamic republic of iran": "IR",
+  "chinese taipei": "TW", "kinesisk taipei": "TW",
+  "hong kong china": "HK", "macau": "MO",
+  "pr china": "CN", "china pr": "CN",
+  "uae": "AE",
+  "ivory coast": "CI", "cote d'ivoire": "CI",
+  "dr kongo": "CD", "congo dr": "CD", "drc": "CD",
+  "democratic republic of the congo": "CD", "democratic republic of congo": "CD",
+  "congo-kinshasa": "CD", "kongo-kinshasa": "CD",
+  "republic of the congo": "CG", "congo-brazzaville": "CG", "kongo": "CG",
+  "cabo verde": "CV",
+  "the gambia": "GM",
+  "swaziland": "SZ", "burma": "MM",
+  "east timor": "TL", "timor-leste": "TL",
+  "vatican": "VA",
+  "palestinian territories": "PS",
+  "viet nam": "VN",
+  "trinidad": "TT",
+  "kyrgyz republic": "KG",
+};
+
+// Vanlige ord som også er landnavn – godtas som hele navn, men ikke i fritekst
+const COUNTRY_TEXT_SKIP = new Set(["man", "island"]);
+
+function normalizeCountryText(text) {
+  return String(text || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[’`´]/g, "'")
+    .replace(/&/g, " and ")
+    .replace(/\./g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+const COUNTRY_BY_ALIAS = (function () {
+  const map = new Map();
+  for (const iso in COUNTRY_NAMES) {
+    for (const name of COUNTRY_NAMES[iso]) map.set(normalizeCountryText(name), iso);
+  }
+  for (const alias in COUNTRY_ALIASES) map.set(normalizeCountryText(alias), COUNTRY_ALIASES[alias]);
+  return map;
+})();
+
+// Hele ord, lengste alias først: "guinea-bissau" før "guinea", og "niger"
+// treffer ikke "nigeria". Tidligste treff i teksten vinner.
+const COUNTRY_PATTERN = new RegExp(
+  "(^|[^\\p{L}\\p{N}])(" +
+    [...COUNTRY_BY_ALIAS.keys()]
+      .filter(a => !COUNTRY_TEXT_SKIP.has(a))
+      .sort((a, b) => b.length - a.length)
+      .map(a => a.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+      .join("|") +
+    ")(?=$|[^\\p{L}\\p{N}])",
+  "u"
+);
+
+function isCountryCode(code) {
+  return typeof code === "string" && Object.prototype.hasOwnProperty.call(COUNTRY_NAMES, code.toUpperCase());
+}
+
+// Et rent landnavn eller en ISO-kode ("Norge", "Norway", "NO")
+function countryIsoFromName(name) {
+  const key = normalizeCountryText(name);
+  if (!key) return null;
+  if (key.length === 2 && isCountryCode(key)) return key.toUpperCase();
+  return COUNTRY_BY_ALIAS.get(key) || null;
+}
+
+// Første land nevnt i en fritekst, f.eks. et turneringsnavn
+function findCountryInText(text) {
+  const m = normalizeCountryText(text).match(COUNTRY_PATTERN);
+  return m ? COUNTRY_BY_ALIAS.get(m[2]) : null;
+}
+
+/*
+  candidates i prioritert rekkefølge; første som gir et land vinner:
+    { alpha2 }  strukturert kode (Sofascore category.alpha2)
+    { name }    et landnavn (teams.country), eventuelt med mer tekst rundt
+    { text }    fritekst (turnering + sesong)
+*/
+function resolveCountryIso(candidates) {
+  for (const c of candidates) {
+    let iso = null;
+    if (c.alpha2) iso = isCountryCode(c.alpha2) ? c.alpha2.toUpperCase() : null;
+    else if (c.name) iso = countryIsoFromName(c.name) || findCountryInText(c.name);
+    else if (c.text) iso = findCountryInText(c.text);
+    if (iso) return iso;
+  }
+  return null;
+}
+
+function countryName(iso, locale) {
+  const names = COUNTRY_NAMES[iso];
+  if (!names) return iso;
+  return locale === "en" ? names[0] : names[1];
+}
+
+function isoToFlag(iso) {
+  if (!iso || iso.length !== 2) return null;
+  const codePoints = [...iso.toUpperCase()]
+    .map(c => 0x1F1E6 + c.charCodeAt(0) - 65);
+  return String.fromCodePoint(...codePoints);
+}
@@ -0,0 +1,108 @@
+/*
+  Måler hvor mye en oppdatering av /live koster å rendre, med mange kamper samtidig.
+
+    node dev/bench-render.js [antall kamper] [endret per oppdatering] [oppdateringer]
+    node dev/bench-render.js 120 8 30
+
+  App rendres i jsdom (dev/dom-env.js) med syntetiske kamper. Hver oppdatering
+  endrer poengene i noen av dem, som en vanlig kveld der de fleste kampene står
+  stille mellom to polls. Skriver ut React-tid (Profiler, actualDuration) og hvor
+  mange kort som ble rendret per oppdatering. Ingen kamper er i teams.json, så
+  alle havner under "Andre" og vises på én gang.
+*/
+const { loadApp, render, readFixture } = require("./dom-env");
+
+const EVENTS = Number(process.argv[2]) || 120;
+const CHANGED = Number(process.argv[3]) || 8;
+const UPDATES = Number(process.argv[4]) || 30;
+
+const template = readFixture("live.json")[0];
+
+function makeRows() {
+  const rows = [];
+  for (let i = 0; i < EVENTS; i++) {
+    rows.push({
+      ...template,
+      event_id: 9000 + i,
+      home_team_id: 90000 + 2 * i,
+      away_team_id: 90001 + 2 * i,
+      home_team_name: "Hjemme " + i,
+      away_team_name: "Borte " + i,
+      status_desc: "3rd set",
+      home_sets: 1,
+      away_sets: 1,
+      home_p3: i % 20,
+      away_p3: (i * 7) % 20,
+      home_p4: null,
+      away_p4: null,
+      home_p5: null,
+      away_p5: null,
+      new_score: 0,
+    });
+  }
+  return rows;
+}
+
+// Neste /live: CHANGED kamper får ett poeng, resten er uendret
+function nextRows(rows, n) {
+  return rows.map((row, i) => {
+    if ((i + n) % Math.ceil(EVENTS / CHANGED) !== 0) return { ...row, new_score: 0 };
+    const home = n % 2 === 0;
+    return {
+      ...row,
+      home_p3: row.home_p3 + (home ? 1 : 0),
+      away_p3: row.away_p3 + (home ? 0 : 1),
+      home_point_run: home ? row.home_point_run + 1 : 0,
+      away_point_run: home ? 0 : row.away_point_run + 1,
+      new_score: 1,
+    };
+  });
+}
+
+function tick(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function main() {
+  const w = loadApp();
+  let rows = makeRows();
+
+  w.fetch = async (url) => {
+    const path = new URL(url).pathname;
+    const body = path === "/live" ? rows : path === "/teams" ? [] : { items: [] };
+    return { ok: true, status: 200, statusText: "OK", headers: { get: () => null }, json: async () => body };
+  };
+
+  // Hvert kort kaller statusText én gang per render
+  let cards = 0;
+  const statusText = w.statusText;
+  w.statusText = (...args) => { cards++; return statusText(...args); };
+
+  let duration = 0;
+  const onRender = (id, phase, actualDuration) => { duration += actualDuration; };
+  const host = render(w, w.React.createElement(w.React.Profiler, { id: "app", onRender: onRender }, w.React.createElement(w.App)));
+  await tick(200);
+
+  const samples = [];
+  for (let n = 1; n <= UPDATES; n++) {
+    rows = nextRows(rows, n);
+    duration = 0;
+    cards = 0;
+    // Samme vei som polling: "online" kaller loadLive
+    w.dispatchEvent(new w.Event("online"));
+    await tick(50);
+    samples.push({ duration: duration, cards: cards });
+  }
+  host.unmount();
+
+  const avg = (key) => samples.reduce((sum, s) => sum + s[key], 0) / samples.length;
+  console.log(EVENTS + " kamper, " + CHANGED + " endret per oppdatering, " + UPDATES + " oppdateringer");
+  console.log("React-tid per oppdatering: " + avg("duration").toFixed(1) + " ms");
+  console.log("Kort rendret per oppdatering: " + avg("cards").toFixed(1));
+  w.close();
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exitCode = 1;
+});
@@ -0,0 +1,93 @@
+/*
+  Laster appens skript i jsdom slik index.html gjør, for testene i test/.
+
+    const { loadApp, render } = require("../dev/dom-env");
+    const w = loadApp({ locale: "nb" });
+    const host = render(w, w.React.createElement(w.EventCard, props));
+
+  React og Babel kommer fra node_modules (npm install) i stedet for unpkg, og
+  text/babel-skriptene oversettes med samme @babel/standalone som i nettleseren.
+  Appen monteres ikke (det finnes ingen #live-root), så bare helpers og
+  komponenter fra live.js blir tilgjengelige på vinduet. Henting går mot
+  dev/fixtures med mindre fetch byttes ut.
+
+  Ligger utenfor test/, ellers kjører node --test den som en egen testfil.
+*/
+const fs = require("fs");
+const path = require("path");
+const { JSDOM, VirtualConsole } = require("jsdom");
+const Babel = require("@babel/standalone");
+
+const ROOT = path.join(__dirname, "..");
+const FIXTURES = path.join(__dirname, "fixtures");
+
+// Samme rekkefølge som i index.html (uten hub.js, som monterer seg selv)
+const APP_SCRIPTS = ["countries.js", "stages.js", "rules.js", "stats.js", "api.js", "replay.js", "refdata.js", "search.js", "live.js"];
+
+function moduleFile(pkg, file) {
+  return path.join(path.dirname(require.resolve(pkg + "/package.json")), file);
+}
+
+function readFixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURES, name), "utf8"));
+}
+
+// Svarer som dev/mock-server.js --fixtures
+function fixtureResponse(url) {
+  const name = { "/live": "live.json", "/teams": "teams.json", "/players": "players.json" }[new URL(url).pathname];
+  if (!name) return { ok: false, status: 404, statusText: "Not Found", headers: { get: () => null }, json: async () => null };
+  const body = readFixture(name);
+  return { ok: true, status: 200, statusText: "OK", headers: { get: () => null }, json: async () => body };
+}
+
+// Vanlige <script>-elementer, så const på toppnivå deles mellom filene som i nettleseren.
+// Feil i skriptet kastes videre (jsdom melder dem ellers bare på konsollen).
+function runScript(w, code, name, errors) {
+  const script = w.document.createElement("script");
+  script.textContent = code;
+  w.document.head.appendChild(script);
+  if (errors.length) throw new Error(name + ": " + errors[0].message);
+}
+
+/*
+  options  locale  "nb" | "en" (standard "nb")
+           search  adressens ?-del, f.eks. "?kiosk"
+*/
+function loadApp(options = {}) {
+  const errors = [];
+  const virtualConsole = new VirtualConsole();
+  virtualConsole.on("jsdomError", (e) => errors.push(e));
+
+  const dom = new JSDOM("<!DOCTYPE html><html><head></head><body><div id=\"overlay-root\"></div></body></html>", {
+    url: "http://localhost/index.html" + (options.search || ""),
+    runScripts: "dangerously",
+    pretendToBeVisual: true,
+    virtualConsole: virtualConsole,
+  });
+  const w = dom.window;
+
+  w.localStorage.setItem("volley.locale", options.locale || "nb");
+  w.fetch = async (url) => fixtureResponse(url);
+
+  runScript(w, fs.readFileSync(moduleFile("react", "umd/react.development.js"), "utf8"), "react", errors);
+  runScript(w, fs.readFileSync(moduleFile("react-dom", "umd/react-dom.development.js"), "utf8"), "react-dom", errors);
+  runScript(w, fs.readFileSync(path.join(ROOT, "i18n.js"), "utf8"), "i18n.js", errors);
+
+  for (const file of APP_SCRIPTS) {
+    const source = fs.readFileSync(path.join(ROOT, file), "utf8");
+    runScript(w, Babel.transform(source, { presets: ["env", "react"], filename: file }).code, file, errors);
+  }
+  return w;
+}
+
+// Rendrer synkront i en ny div og gir den tilbake
+function render(w, element) {
+  const host = w.document.createElement("div");
+  w.document.body.appendChild(host);
+  const root = w.ReactDOM.createRoot(host);
+  w.ReactDOM.flushSync(() => root.render(element));
+  host.unmount = () => w.ReactDOM.flushSync(() => root.unmount());
+  return host;
+}
+
+module.exports = { loadApp, render, readFixture };
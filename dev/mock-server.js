@@ -0,0 +1,315 @@
+#!/usr/bin/env node
+/*
+  Lokal stand-in for volleyball.ronesse.no.
+
+    node dev/mock-server.js [--port=8787] [--tick=2000] [--no-stream] [--drop-after=N]
+                            [--fixtures[=dev/fixtures]] [--extra-teams=N]
+
+  Serverer appen fra repo-roten og et simulert API:
+    GET /live            hele lista (som produksjon)
+    GET /live/stream     SSE: snapshot / update / remove, med id og resume
+    GET /teams, /players referansedata, side for side med ?limit=&offset=
+
+  Åpne http://localhost:8787/?api=http://localhost:8787
+  Widget: http://localhost:8787/embed.html?team=1001&api=http://localhost:8787
+  Scorebug: http://localhost:8787/overlay.html?event=1&api=http://localhost:8787
+
+  --no-stream     /live/stream svarer 404 (tester fallback til polling)
+  --drop-after=N  strømmen kobles ned etter N meldinger (tester resume)
+  --fixtures      serverer lagrede svar (live.json, teams.json, players.json) som de
+                  er, uten simulering. dev/fixtures har kanttilfellene testene bruker:
+                  5-settskamp i tie-break, bare custom_id og home_teams_id, raw_json
+                  som tekst, objekt, tom og ødelagt, kamp uten id, beach-par, rad
+                  uten lagnavn, lag uten id og /players som { items }.
+  --extra-teams=N N ekstra utenlandske lag etter de vanlige, med en norsk spiller
+                  på det siste, så /teams og /players må hentes over flere sider
+*/
+const http = require("http");
+const fs = require("fs");
+const path = require("path");
+
+const ROOT = path.join(__dirname, "..");
+
+const args = {};
+for (const a of process.argv.slice(2)) {
+  const m = a.match(/^--([^=]+)(?:=(.*))?$/);
+  if (m) args[m[1]] = m[2] == null ? true : m[2];
+}
+
+const PORT = Number(args.port || 8787);
+const TICK_MS = Number(args.tick || 2000);
+const NO_STREAM = !!args["no-stream"];
+const DROP_AFTER = args["drop-after"] ? Number(args["drop-after"]) : null;
+const HISTORY = 500;
+const EXTRA_TEAMS = Number(args["extra-teams"] || 0);
+const FIXTURES = args.fixtures ? path.resolve(args.fixtures === true ? path.join(__dirname, "fixtures") : args.fixtures) : null;
+
+function readFixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURES, name), "utf8"));
+}
+
+/* ===========================
+   Referansedata
+   =========================== */
+
+const TEAMS = FIXTURES ? readFixture("teams.json") : [
+  { sofascore_team_id: 1001, name: "Førde VBK", country: "Norge", league: "Eliteserien" },
+  { sofascore_team_id: 1002, name: "Randaberg IL", country: "Norge", league: "Eliteserien" },
+  { sofascore_team_id: 2001, name: "Sir Safety Perugia", country: "Italy", league: "SuperLega" },
+  { sofascore_team_id: 2002, name: "Itas Trentino", country: "Italy", league: "SuperLega" },
+];
+
+const PLAYERS = FIXTURES ? readFixture("players.json") : [
+  { id: "9001", name: "Ola Nordmann", nationality: "Norway", sofascore_team_id: 2001 },
+];
+
+for (let i = 1; i <= EXTRA_TEAMS; i++) {
+  TEAMS.push({ sofascore_team_id: 50000 + i, name: "Testlag " + i, country: "Poland", league: "PlusLiga" });
+}
+if (EXTRA_TEAMS) {
+  const last = { id: "9999", name: "Kari Nordmann", nationality: "Norway", sofascore_team_id: 50000 + EXTRA_TEAMS };
+  if (Array.isArray(PLAYERS)) PLAYERS.push(last);
+  else PLAYERS.items.push(last);
+}
+
+// limit/offset som produksjonen; lister som { items } får total med
+function page(list, url) {
+  const rows = Array.isArray(list) ? list : list.items;
+  const limit = Number(url.searchParams.get("limit")) || rows.length;
+  const offset = Number(url.searchParams.get("offset")) || 0;
+  const items = rows.slice(offset, offset + limit);
+  return Array.isArray(list) ? items : { items: items, total: rows.length, limit: limit, offset: offset };
+}
+
+/* ===========================
+   Simulering
+   =========================== */
+
+let nextEventId = 1;
+
+const INDOOR = { bestOf: 5, setPoints: 25, decidingSetPoints: 15 };
+const BEACH = { bestOf: 3, setPoints: 21, decidingSetPoints: 15 };
+const formatOf = new Map(); // event_id -> format
+
+function newMatch(home, away, tournament, category, format, roundInfo) {
+  const ev = {
+    event_id: nextEventId++,
+    status_type: "inprogress",
+    status_desc: "1st set",
+    start_ts: Math.floor(Date.now() / 1000),
+    home_team_name: home.name,
+    away_team_name: away.name,
+    home_team_id: home.sofascore_team_id,
+    away_team_id: away.sofascore_team_id,
+    home_sets: 0,
+    away_sets: 0,
+    home_p1: 0,
+    away_p1: 0,
+    home_point_run: 0,
+    away_point_run: 0,
+    new_score: 0,
+    raw_json: JSON.stringify({
+      tournament: { name: tournament, category: { name: category } },
+      roundInfo: roundInfo || undefined,
+      firstToServe: Math.random() < 0.5 ? 1 : 2,
+    }),
+  };
+  formatOf.set(ev.event_id, format || INDOOR);
+  return ev;
+}
+
+const ORDINALS = ["1st", "2nd", "3rd", "4th", "5th"];
+
+function setNoOf(ev) {
+  return ev.home_sets + ev.away_sets + 1;
+}
+
+function scorePoint(ev, side) {
+  const other = side === "home" ? "away" : "home";
+  const setNo = setNoOf(ev);
+
+  ev[side + "_p" + setNo] += 1;
+  ev[side + "_point_run"] = (ev[side + "_point_run"] || 0) + 1;
+  ev[other + "_point_run"] = 0;
+  ev.new_score = 1;
+
+  const format = formatOf.get(ev.event_id);
+  const target = setNo === format.bestOf ? format.decidingSetPoints : format.setPoints;
+  const mine = ev[side + "_p" + setNo];
+  const theirs = ev[other + "_p" + setNo];
+
+  if (mine >= target && mine - theirs >= 2) {
+    ev[side + "_sets"] += 1;
+    if (ev[side + "_sets"] === Math.ceil(format.bestOf / 2)) {
+      ev.status_type = "finished";
+      ev.status_desc = "Ended";
+      return;
+    }
+    const next = setNoOf(ev);
+    ev["home_p" + next] = 0;
+    ev["away_p" + next] = 0;
+    ev.home_point_run = 0;
+    ev.away_point_run = 0;
+    ev.status_desc = ORDINALS[next - 1] + " set";
+  }
+}
+
+const events = FIXTURES ? readFixture("live.json") : [
+  newMatch(TEAMS[0], TEAMS[1], "Eliteserien", "Norway", INDOOR, { name: "Semifinals 2nd leg" }),
+  newMatch(TEAMS[2], TEAMS[3], "SuperLega", "Italy", INDOOR, { round: 12 }),
+  newMatch(
+    { sofascore_team_id: 3001, name: "Mol A. / Sørum C." },
+    { sofascore_team_id: 3002, name: "Evans A. / Budinger C." },
+    "Beach Pro Tour Elite16", "Beach Volleyball", BEACH
+  ),
+];
+
+// Program og resultater ligger også i /live (status notstarted / finished).
+// De står stille; bare kampene over simuleres.
+const fixtureIds = new Set();
+
+function fixture(home, away, tournament, hoursFromNow, sets) {
+  const ev = newMatch(home, away, tournament, "Norway");
+  ev.start_ts = Math.floor(Date.now() / 1000 + hoursFromNow * 3600);
+  ev.status_type = sets ? "finished" : "notstarted";
+  ev.status_desc = sets ? "Ended" : "Not started";
+  delete ev.home_p1;
+  delete ev.away_p1;
+  for (let i = 0; sets && i < sets.length; i++) {
+    ev["home_p" + (i + 1)] = sets[i][0];
+    ev["away_p" + (i + 1)] = sets[i][1];
+    ev[(sets[i][0] > sets[i][1] ? "home" : "away") + "_sets"] += 1;
+  }
+  fixtureIds.add(ev.event_id);
+  return ev;
+}
+
+if (!FIXTURES) events.push(
+  fixture(TEAMS[1], TEAMS[0], "Eliteserien", 3),
+  fixture(TEAMS[3], TEAMS[2], "SuperLega", 26),
+  fixture(TEAMS[0], TEAMS[1], "Eliteserien", -5, [[25, 21], [23, 25], [25, 19], [25, 22]]),
+  fixture(TEAMS[2], TEAMS[3], "SuperLega", -28, [[25, 18], [25, 20], [25, 23]])
+);
+
+/* ===========================
+   Strøm-historikk
+   =========================== */
+
+let seq = 0;
+const history = []; // { id, type, data }
+const clients = new Set();
+
+function publish(type, data) {
+  // Kopi, ellers endrer simuleringen historikken som skal spilles av ved resume
+  const msg = { id: ++seq, type: type, data: JSON.parse(JSON.stringify(data)) };
+  history.push(msg);
+  if (history.length > HISTORY) history.shift();
+  for (const c of clients) send(c, msg);
+}
+
+function send(client, msg) {
+  client.res.write("id: " + msg.id + "\nevent: " + msg.type + "\ndata: " + JSON.stringify(msg.data) + "\n\n");
+  client.sent++;
+  if (DROP_AFTER && client.sent >= DROP_AFTER) {
+    client.res.end();
+    clients.delete(client);
+  }
+}
+
+function tick() {
+  for (const ev of events) ev.new_score = 0;
+
+  const playing = events.filter(x => !fixtureIds.has(x.event_id));
+  const ev = playing[Math.floor(Math.random() * playing.length)];
+  const idx = events.indexOf(ev);
+
+  if (ev.status_type === "finished") {
+    publish("remove", { event_id: ev.event_id });
+    const raw = JSON.parse(ev.raw_json);
+    events[idx] = newMatch(
+      { sofascore_team_id: ev.away_team_id, name: ev.away_team_name },
+      { sofascore_team_id: ev.home_team_id, name: ev.home_team_name },
+      raw.tournament.name, raw.tournament.category.name, formatOf.get(ev.event_id), raw.roundInfo
+    );
+    formatOf.delete(ev.event_id);
+    publish("update", events[idx]);
+    return;
+  }
+
+  // Serveren vinner litt oftere enn mottaker
+  const serving = ev.home_point_run > 0 ? "home" : (ev.away_point_run > 0 ? "away" : null);
+  let side = Math.random() < 0.5 ? "home" : "away";
+  if (serving && Math.random() < 0.1) side = serving;
+
+  scorePoint(ev, side);
+  publish("update", ev);
+}
+
+/* ===========================
+   HTTP
+   =========================== */
+
+const MIME = { ".html": "text/html; charset=utf-8", ".js": "text/javascript; charset=utf-8", ".json": "application/json", ".png": "image/png", ".jpg": "image/jpeg" };
+
+function json(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json", "Access-Control-Allow-Origin": "*", "Cache-Control": "no-store" });
+  res.end(JSON.stringify(body));
+}
+
+function openStream(req, res, url) {
+  if (NO_STREAM) return json(res, 404, { error: "stream disabled" });
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-store",
+    "Connection": "keep-alive",
+    "Access-Control-Allow-Origin": "*",
+  });
+  res.write("retry: 2000\n\n");
+
+  const client = { res: res, sent: 0 };
+  const lastId = Number(req.headers["last-event-id"] || url.searchParams.get("last_event_id") || NaN);
+  const oldest = history.length ? history[0].id : seq + 1;
+
+  if (Number.isFinite(lastId) && lastId >= oldest - 1 && lastId <= seq) {
+    for (const msg of history) if (msg.id > lastId) send(client, msg);
+  } else {
+    send(client, { id: seq, type: "snapshot", data: events });
+  }
+
+  clients.add(client);
+  req.on("close", () => clients.delete(client));
+}
+
+function serveStatic(res, pathname) {
+  const file = path.normalize(path.join(ROOT, pathname === "/" ? "index.html" : pathname));
+  if (!file.startsWith(ROOT + path.sep)) {
+    res.writeHead(403);
+    return res.end();
+  }
+  fs.readFile(file, (err, body) => {
+    if (err) {
+      res.writeHead(404);
+      return res.end();
+    }
+    res.writeHead(200, { "Content-Type": MIME[path.extname(file)] || "application/octet-stream" });
+    res.end(body);
+  });
+}
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, "http://localhost");
+
+  if (url.pathname === "/live/stream") return openStream(req, res, url);
+  if (url.pathname === "/live") return json(res, 200, events);
+  if (url.pathname === "/teams") return json(res, 200, page(TEAMS, url));
+  if (url.pathname === "/players") return json(res, 200, page(PLAYERS, url));
+
+  serveStatic(res, url.pathname);
+});
+
+if (!FIXTURES) setInterval(tick, TICK_MS);
+
+server.listen(PORT, () => {
+  console.log("Mock-server på http://localhost:" + PORT + "/?api=http://localhost:" + PORT);
+});
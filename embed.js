@@ -0,0 +1,229 @@
+/* ===========================
+   Innebygd resultattavle (embed.html)
+   =========================== */
+
+// Lastes etter live.js og bruker helpers og komponenter derfra og fra api.js
+// (fetchLive, currentPoints, LogoBox, SetBox ...). Settes opp med
+// parametre i adressen:
+//
+//   embed.html?event=123          én kamp
+//   embed.html?team=1001          lagets kamp: live nå, ellers neste kamp
+//   &idle=hide                    skjul når laget ikke spiller (standard: vis neste kamp)
+//   &size=small|medium|large      (standard medium)
+//   &theme=light|dark|auto  &lang=nb|en
+//
+// widget.js lager iframen for en script-tag og følger høyden (EMBED_SIZE_MESSAGE).
+
+const EMBED_SIZES = ["small", "medium", "large"];
+const EMBED_SIZE_MESSAGE = "volley:embed-size";
+
+function parseEmbed(search) {
+  const q = new URLSearchParams(search || "");
+  const size = q.get("size");
+  const theme = q.get("theme");
+  const lang = q.get("lang");
+
+  return {
+    event: nonEmpty(q.get("event")),
+    team: nonEmpty(q.get("team")),
+    hideIdle: q.get("idle") === "hide",
+    size: EMBED_SIZES.includes(size) ? size : "medium",
+    theme: theme === "dark" || theme === "auto" ? theme : "light",
+    lang: LOCALES.some(l => l.key === lang) ? lang : null,
+  };
+}
+
+const EMBED = parseEmbed(window.location.search);
+
+function isTeamEvent(ev, teamId) {
+  return sameId(ev.homeId, teamId) || sameId(ev.awayId, teamId);
+}
+
+// { ev, next }: valgt kamp, ellers lagets livekamp, ellers lagets neste kamp
+function pickEmbedEvent(events, config, now) {
+  if (config.event != null) {
+    return { ev: events.find(ev => sameId(ev.id, config.event)) || null, next: false };
+  }
+  if (config.team == null) return { ev: null, next: false };
+
+  const mine = events.filter(ev => isTeamEvent(ev, config.team));
+  const live = mine.find(ev => isLiveStatus(ev.statusType));
+  if (live) return { ev: live, next: false };
+
+  const upcoming = mine
+    .filter(ev => liveLabel(ev.statusType) === "KOMMER" && (ev.startTs ?? 0) * 1000 >= now)
+    .sort((a, b) => (a.startTs ?? 0) - (b.startTs ?? 0));
+  return { ev: upcoming[0] || null, next: true };
+}
+
+function useEmbedEvents() {
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    let controller = null;
+
+    async function load() {
+      if (controller) controller.abort();
+      controller = new AbortController();
+      try {
+        setEvents((await fetchLive(controller.signal)).events);
+        setError("");
+      } catch (e) {
+        if (String(e && e.name) === "AbortError") return;
+        setError(String((e && e.message) ? e.message : e));
+      } finally {
+        setLoading(false);
+      }
+    }
+
+    load();
+    const id = setInterval(load, POLL_MS);
+    return () => {
+      clearInterval(id);
+      if (controller) controller.abort();
+    };
+  }, []);
+
+  return { events, loading, error };
+}
+
+// Høyden til foreldresiden (widget.js); 0 betyr skjult
+function useReportHeight(ref) {
+  useEffect(() => {
+    if (window.parent === window) return undefined;
+
+    function report() {
+      const height = ref.current ? Math.ceil(ref.current.getBoundingClientRect().height) : 0;
+      window.parent.postMessage({ type: EMBED_SIZE_MESSAGE, height: height }, "*");
+    }
+
+    report();
+    if (!ref.current || typeof ResizeObserver === "undefined") return undefined;
+    const observer = new ResizeObserver(report);
+    observer.observe(ref.current);
+    return () => observer.disconnect();
+  });
+}
+
+function EmbedTeamRow({ ev, side, format, sets, points, isLive, winner }) {
+  return (
+    <div className={"embedTeam" + (winner === side ? " winner" : "")}>
+      {!format.pairs && <LogoBox src={teamLogoUrl(side === "home" ? ev.homeId : ev.awayId)} />}
+      <span className="embedName">{side === "home" ? ev.homeName : ev.awayName}</span>
+      {sets != null && <span className="embedSets">{sets}</span>}
+      {isLive && <span className="embedPoints">{points ?? "—"}</span>}
+    </div>
+  );
+}
+
+function EmbedScoreboard({ ev, next }) {
+  const format = ev.format;
+  const p = currentPoints(ev);
+  const state = matchState(ev.sets, format);
+
+  const code = liveLabel(ev.statusType);
+  const isLive = code === "LIVE";
+  const hasScore = code !== "KOMMER";
+  const d = eventDate(ev);
+
+  let statusNode;
+  if (next) {
+    statusNode = t("embed.next") + (d ? " · " + formatDay(dayKey(d)) + " " + formatTime(d) : "");
+  } else if (code === "KOMMER") {
+    statusNode = d ? formatDay(dayKey(d)) + " " + formatTime(d) : statusText(ev.statusType);
+  } else {
+    statusNode = (
+      <React.Fragment>
+        <span className={statusDot(ev.statusType)}></span>
+        {statusText(ev.statusType)}
+        {isLive && p.setNo ? " · " + t("set.n", { n: p.setNo }) : ""}
+      </React.Fragment>
+    );
+  }
+
+  const setBoxes = [];
+  if (hasScore) {
+    for (let i = 1; i <= ev.sets.length; i++) {
+      const set = ev.sets[i - 1];
+      if (!set) continue;
+      setBoxes.push(
+        <SetBox key={i} label={t("set.n", { n: i })} home={set.home} away={set.away} highlight={isLive && p.setNo === i} />
+      );
+    }
+  }
+
+  return (
+    <a
+      className="embedCard"
+      href={"index.html" + formatRoute({ view: "live", event: ev.id })}
+      target="_blank"
+      rel="noopener"
+      title={t("embed.open")}
+    >
+      <div className="embedHeader">
+        <span className="embedStatus">{statusNode}</span>
+        <span className="embedTournament">{ev.tournament}</span>
+      </div>
+
+      {["home", "away"].map(side => (
+        <EmbedTeamRow
+          key={side}
+          ev={ev}
+          side={side}
+          format={format}
+          sets={hasScore ? (side === "home" ? (ev.homeSets ?? state.setsHome) : (ev.awaySets ?? state.setsAway)) : null}
+          points={p[side]}
+          isLive={isLive}
+          winner={state.winner}
+        />
+      ))}
+
+      {setBoxes.length > 0 && <div className="embedSetRow">{setBoxes}</div>}
+    </a>
+  );
+}
+
+function EmbedApp() {
+  useLocale();
+  const rootRef = useRef(null);
+  const { events, loading, error } = useEmbedEvents();
+  const picked = pickEmbedEvent(events, EMBED, Date.now());
+
+  useReportHeight(rootRef);
+
+  if (loading) return null;
+
+  // Skjult når laget ikke spiller (idle=hide); høyden blir 0
+  if ((!picked.ev || picked.next) && EMBED.hideIdle) return null;
+
+  let content;
+  if (picked.ev) {
+    content = <EmbedScoreboard ev={picked.ev} next={picked.next} />;
+  } else {
+    content = (
+      <div className="embedCard embedEmpty">
+        {error ? t("error", { msg: error }) : t(EMBED.event != null ? "embed.notFound" : "embed.noMatch")}
+      </div>
+    );
+  }
+
+  return (
+    <div ref={rootRef} className={"embed " + EMBED.size}>
+      {content}
+    </div>
+  );
+}
+
+(function () {
+  let theme = EMBED.theme;
+  if (theme === "auto") {
+    theme = window.matchMedia && window.matchMedia("(prefers-color-scheme: dark)").matches ? "dark" : "light";
+  }
+  document.body.setAttribute("data-theme", theme);
+  if (EMBED.lang) setLocale(EMBED.lang, { persist: false });
+  applyDocumentLocale();
+})();
+
+ReactDOM.createRoot(document.getElementById("embed-root")).render(<EmbedApp />);
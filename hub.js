@@ -0,0 +1,318 @@
+/* ===========================
+   Volley Hub – lag og spillere
+   =========================== */
+
+// Lastes etter live.js og bruker hooks, helpers og komponenter derfra
+// (LogoBox, PlayerAvatar, teamLogoUrl, useShared, openLiveEvent ...).
+// Dataene hentes av Live-appen og deles via useShared.
+
+// Tekst: hub.view.<key> i i18n.js
+const HUB_VIEWS = ["teams", "players"];
+
+// Norge først, deretter alfabetisk
+function compareCountry(a, b) {
+  if (a === b) return 0;
+  if (a === "Norge") return -1;
+  if (b === "Norge") return 1;
+  return a.localeCompare(b, "nb");
+}
+
+function LiveLink({ ev }) {
+  const p = currentPoints(ev);
+  return (
+    <button
+      type="button"
+      className="pill filterBtn"
+      title={ev.homeName + " – " + ev.awayName}
+      onClick={(e) => {
+        e.stopPropagation();
+        openLiveEvent(ev.id);
+      }}
+    >
+      <span className="dot"></span>
+      LIVE {(ev.homeSets ?? 0) + "-" + (ev.awaySets ?? 0)}
+      {p.setNo ? " (" + (p.home ?? 0) + "-" + (p.away ?? 0) + ")" : ""}
+    </button>
+  );
+}
+
+function PlayerRow({ player, teamName, liveEv }) {
+  return (
+    <div className="hubPlayer">
+      <PlayerAvatar player={player} />
+      <div className="nameBlock">
+        <div className="hubPlayerName">{player.name}</div>
+        <div className="sub">
+          {[player.nationality && localizedCountry(player.nationality), teamName].filter(Boolean).join(" · ")}
+        </div>
+      </div>
+      {liveEv && <LiveLink ev={liveEv} />}
+    </div>
+  );
+}
+
+function TeamCard({ team, roster, liveEv, isOpen, onToggle }) {
+  const id = team.id;
+  const norCount = roster.filter(isNorwegianPlayer).length;
+
+  return (
+    <div className="card" id={"hub-team-" + id}>
+      <div className="row hubTeamRow" onClick={onToggle} role="button" aria-expanded={isOpen}>
+        <div className="left">
+          <LogoBox src={teamLogoUrl(id)} />
+          <div className="nameBlock">
+            <div className="name">{team.name}</div>
+            <div className="sub">
+              {[team.league, localizedCountry(team.country)].filter(Boolean).join(" · ")}
+            </div>
+          </div>
+        </div>
+
+        <div className="meta">
+          {norCount > 0 && <span className="pill">🇳🇴 {formatNumber(norCount)}</span>}
+          {liveEv && <LiveLink ev={liveEv} />}
+        </div>
+      </div>
+
+      {isOpen && (
+        <div className="hubRoster">
+          {roster.length === 0 && <div className="focusInfo">{t("hub.noRoster")}</div>}
+          {roster.map(p => (
+            <PlayerRow key={p.id} player={p} />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function HubApp() {
+  const locale = useLocale();
+  const live = useShared("live");
+  const teams = useShared("teams");
+  const players = useShared("players");
+  const reference = useShared("reference");
+
+  const [view, setView] = useState("teams");
+  const [query, setQuery] = useState("");
+  const [country, setCountry] = useState("");
+  const [onlyNorwegian, setOnlyNorwegian] = useState(false);
+  const [openTeamId, setOpenTeamId] = useState(null);
+  // Laget fra #/hub?team=, til kortet er rendret og kan rulles fram
+  const scrollTeamRef = useRef(null);
+
+  /* ---- Ruting: #/hub?team=123 (søket i live.js) ---- */
+
+  useEffect(() => {
+    function onRoute() {
+      const m = window.location.hash.match(/^#\/hub\?(.*)$/);
+      const team = m ? nonEmpty(new URLSearchParams(m[1]).get("team")) : null;
+      const id = Number(team);
+      if (team == null || !Number.isFinite(id)) return;
+
+      // Ingen filtre som kan skjule laget
+      setView("teams");
+      setQuery("");
+      setCountry("");
+      setOnlyNorwegian(false);
+      setOpenTeamId(id);
+      scrollTeamRef.current = id;
+      // Fanen husker adressen; uten ?team åpnes ikke laget igjen ved neste besøk
+      window.history.replaceState(null, "", "#/hub");
+    }
+
+    window.addEventListener("hashchange", onRoute);
+    onRoute();
+    return () => window.removeEventListener("hashchange", onRoute);
+  }, []);
+
+  /* ---- Map'er ---- */
+
+  const liveByTeam = useMemo(() => {
+    const map = new Map();
+    for (const ev of live) {
+      if (!isLiveStatus(ev.statusType)) continue;
+      const h = ev.homeId;
+      const a = ev.awayId;
+      if (h != null) map.set(h, ev);
+      if (a != null) map.set(a, ev);
+    }
+    return map;
+  }, [live]);
+
+  const rosterByTeam = useMemo(() => {
+    const map = new Map();
+    for (const p of players) {
+      if (!map.has(p.sofascoreTeamId)) map.set(p.sofascoreTeamId, []);
+      map.get(p.sofascoreTeamId).push(p);
+    }
+    for (const list of map.values()) list.sort((a, b) => a.name.localeCompare(b.name, "nb"));
+    return map;
+  }, [players]);
+
+  const teamById = useMemo(() => {
+    const map = new Map();
+    for (const team of teams) map.set(team.id, team);
+    return map;
+  }, [teams]);
+
+  const countries = useMemo(() => {
+    const set = new Set(teams.map(team => team.country).filter(Boolean));
+    return [...set].sort(compareCountry);
+  }, [teams]);
+
+  /* ---- Lag: land → liga ---- */
+
+  const q = query.trim().toLowerCase();
+
+  const teamGroups = useMemo(() => {
+    const byCountry = new Map();
+
+    for (const team of teams) {
+      const c = team.country || t("hub.unknownCountry");
+      if (country && c !== country) continue;
+      if (q && !team.name.toLowerCase().includes(q)) continue;
+
+      const roster = rosterByTeam.get(team.id) || [];
+      if (onlyNorwegian && !roster.some(isNorwegianPlayer)) continue;
+
+      const league = team.league || t("hub.noLeague");
+      if (!byCountry.has(c)) byCountry.set(c, new Map());
+      const byLeague = byCountry.get(c);
+      if (!byLeague.has(league)) byLeague.set(league, []);
+      byLeague.get(league).push(team);
+    }
+
+    return [...byCountry.keys()].sort(compareCountry).map(c => ({
+      country: c,
+      leagues: [...byCountry.get(c).entries()]
+        .sort((a, b) => a[0].localeCompare(b[0], "nb"))
+        .map(([league, list]) => ({
+          league: league,
+          teams: list.sort((a, b) => a.name.localeCompare(b.name, "nb")),
+        })),
+    }));
+  }, [teams, rosterByTeam, country, q, onlyNorwegian, locale]);
+
+  /* ---- Spillere ---- */
+
+  const playerList = useMemo(() => {
+    return players
+      .filter(p => !onlyNorwegian || isNorwegianPlayer(p))
+      .filter(p => {
+        if (!country) return true;
+        const team = teamById.get(p.sofascoreTeamId);
+        return team && team.country === country;
+      })
+      .filter(p => !q || p.name.toLowerCase().includes(q))
+      .sort((a, b) =>
+        (!!liveByTeam.get(b.sofascoreTeamId) - !!liveByTeam.get(a.sofascoreTeamId)) ||
+        a.name.localeCompare(b.name, "nb")
+      );
+  }, [players, onlyNorwegian, country, q, teamById, liveByTeam]);
+
+  // Lagene kan fortsatt hentes; da prøves det igjen når lista kommer
+  useEffect(() => {
+    const id = scrollTeamRef.current;
+    if (id == null) return;
+    const el = document.getElementById("hub-team-" + id);
+    if (!el) return;
+    scrollTeamRef.current = null;
+    el.scrollIntoView({ block: "start" });
+  }, [openTeamId, teamGroups]);
+
+  /* ---- Render ---- */
+
+  const loading = teams.length === 0 && players.length === 0;
+
+  return (
+    <div className="wrap">
+      <div className="subnav">
+        {HUB_VIEWS.map(v => (
+          <button
+            key={v}
+            className={"btn" + (view === v ? " primary" : "")}
+            onClick={() => setView(v)}
+          >
+            {t("hub.view." + v)}
+          </button>
+        ))}
+      </div>
+
+      <div className="controls">
+        <input
+          type="search"
+          placeholder={t(view === "teams" ? "hub.searchTeams" : "hub.searchPlayers")}
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+        />
+        <select className="btn" value={country} onChange={(e) => setCountry(e.target.value)}>
+          <option value="">{t("hub.allCountries")}</option>
+          {countries.map(c => <option key={c} value={c}>{localizedCountry(c)}</option>)}
+        </select>
+        <label className="badge filterBtn">
+          <input
+            type="checkbox"
+            checked={onlyNorwegian}
+            onChange={(e) => setOnlyNorwegian(e.target.checked)}
+          />
+          {t("hub.onlyNorwegian")}
+        </label>
+      </div>
+
+      {!loading && <ReferenceNotice teams={reference.teams} players={reference.players} />}
+      {loading && <div style={{ marginTop: 10, color: "#6b7280" }}>{t("loading")}</div>}
+
+      {!loading && view === "teams" && (
+        <>
+          {teamGroups.length === 0 && <div className="focusInfo" style={{ marginTop: 12 }}>{t("hub.noTeams")}</div>}
+          {teamGroups.map(g => (
+            <div key={g.country}>
+              <h2 className="hubCountry">{localizedCountry(g.country)}</h2>
+              {g.leagues.map(l => (
+                <div key={l.league}>
+                  <div className="leagueHeader">{l.league}</div>
+                  <div className="grid" style={{ marginTop: 6 }}>
+                    {l.teams.map(team => {
+                      const id = team.id;
+                      const roster = rosterByTeam.get(id) || [];
+                      return (
+                        <TeamCard
+                          key={id}
+                          team={team}
+                          roster={onlyNorwegian ? roster.filter(isNorwegianPlayer) : roster}
+                          liveEv={liveByTeam.get(id) || null}
+                          isOpen={openTeamId === id}
+                          onToggle={() => setOpenTeamId(prev => (prev === id ? null : id))}
+                        />
+                      );
+                    })}
+                  </div>
+                </div>
+              ))}
+            </div>
+          ))}
+        </>
+      )}
+
+      {!loading && view === "players" && (
+        <div className="card hubRoster" style={{ marginTop: 14 }}>
+          {playerList.length === 0 && <div className="focusInfo">{t("hub.noPlayers")}</div>}
+          {playerList.map(p => {
+            const team = teamById.get(p.sofascoreTeamId);
+            return (
+              <PlayerRow
+                key={p.id}
+                player={p}
+                teamName={team ? team.name : null}
+                liveEv={liveByTeam.get(p.sofascoreTeamId) || null}
+              />
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
+
+ReactDOM.createRoot(document.getElementById("hub-root")).render(<HubApp />);
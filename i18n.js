@@ -0,0 +1,417 @@
+/* ===========================
+   Språk (i18n)
+   =========================== */
+
+// Vanlig script (ikke Babel) som lastes før alt annet, slik at også skriptet i
+// index.html kan bruke t(). Ingen React her; live.js har useLocale().
+
+const LOCALE_KEY = "volley.locale";
+const LOCALE_EVENT = "volley:locale";
+
+const LOCALES = [
+  { key: "nb", label: "Norsk", tag: "nb-NO", htmlLang: "no" },
+  { key: "en", label: "English", tag: "en-GB", htmlLang: "en" },
+];
+
+// {navn} i teksten byttes ut med params.navn
+const MESSAGES = {
+  nb: {
+    "lang.title": "Språk",
+    "theme.dark": "🌙 Mørk",
+    "theme.light": "🌞 Lys",
+
+    "loading": "Laster…",
+    "error": "Feil: {msg}",
+    "stale.at": "Frakoblet – viser data fra kl. {time}.",
+    "stale.unknown": "Frakoblet – viser sist lagrede data.",
+    "stale.retry": "Oppdateres av seg selv når nettet er tilbake.",
+    "ref.loading": "Henter lag og spillere ({teams} lag og {players} spillere så langt). Noen kamper kan stå under «Andre» til alt er hentet.",
+    "ref.incomplete": "Lag- og spillerlista ble ikke hentet helt ({teams} lag, {players} spillere). Noen kamper kan stå under «Andre». Prøver igjen om litt.",
+
+    "view.live": "Live",
+    "view.upcoming": "Program",
+    "view.results": "Resultater",
+
+    "filter.mine": "★ Mine",
+    "filter.mine.empty": "Ingen av favorittene dine spiller nå. Trykk ☆ ved et lag eller en spiller for å følge dem.",
+    "filter.mizuno": "Mizuno Norge",
+    "filter.mizuno.empty": "Det er ingen pågående kamper for lag fra Norge nå.",
+    "filter.abroad": "Norske spillere i utlandet",
+    "filter.abroad.empty": "Det er ingen norske spillere i utlandet i aksjon nå.",
+    "filter.other": "Andre",
+    "filter.other.empty": "Det er ingen andre livekamper for øyeblikket.",
+
+    "status.LIVE": "LIVE",
+    "status.SLUTT": "SLUTT",
+    "status.KOMMER": "KOMMER",
+
+    "stage.final": "Finale",
+    "stage.bronze": "Bronsefinale",
+    "stage.semi": "Semifinale",
+    "stage.quarter": "Kvartfinale",
+    "stage.roundOf16": "Åttendedelsfinale",
+    "stage.roundOf32": "Sekstendedelsfinale",
+    "stage.roundOf": "Runde med {n} lag",
+    "stage.playoff": "Sluttspill",
+    "stage.regular": "Seriespill",
+    "stage.group": "Gruppe {group}",
+    "stage.groupStage": "Gruppespill",
+    "stage.round": "runde {n}",
+    "stage.leg1": "1. kamp",
+    "stage.leg2": "Returkamp",
+    "stage.aggregate": "sammenlagt {home}-{away}",
+    "stage.goldenSet": "Golden set",
+    "stage.playoffsOnly": "🏆 Bare sluttspill",
+    "stage.playoffsOnlyTitle": "Vis bare kamper i sluttspill og utslagsrunder",
+
+    "star.add": "Legg til i Mine: {name}",
+    "star.remove": "Fjern fra Mine: {name}",
+
+    "set.n": "{n}. sett",
+    "card.inProgress": "Pågår",
+    "card.tieBreak": "Tie-break",
+    "card.sets": "{home} - {away} i sett",
+    "card.serve": "Serve · {team}",
+    "card.serveHot": "Poeng-run på egen serve",
+    "card.serving": "Server",
+    "card.servingInferred": "Server (antatt)",
+    "card.serveRotation": "Serve · {team} · rotasjon {n}",
+    "card.breakPoint": "Break-point",
+    "card.sideOut": "Side-out",
+    "card.follow": "Følg kampen med varsler",
+    "card.unfollow": "Slutt å følge kampen",
+    "pressure.matchPoint": "Matchball {team}",
+    "pressure.setPoint": "Settball {team}",
+    "pressure.deuce": "Deuce",
+    "momentum.title": "Momentum",
+    "momentum.aria": "Momentum per sett",
+    "stats.match": "Hele kampen",
+    "stats.points": "Poeng",
+    "stats.longestRun": "Lengste run",
+    "stats.sideOut": "Side-out %",
+    "stats.breakPoint": "Break-point %",
+    "stats.biggestLead": "Største ledelse",
+    "stats.comebacks": "Comebacks",
+    "stats.tracked": "Basert på {n} poeng fulgt live",
+    "stats.none": "Ingen poeng fulgt live ennå",
+
+    "notify.button": "Varsler",
+    "notify.type.start": "Kampstart",
+    "notify.type.set": "Sett vunnet",
+    "notify.type.tiebreak": "Tie-break",
+    "notify.type.matchpoint": "Matchball",
+    "notify.type.final": "Sluttresultat",
+    "notify.started": "Kampen har startet",
+    "notify.final": "Slutt {sets} ({scores})",
+    "notify.setWon": "{team} vant {n}. sett {score} · {sets} i sett",
+    "notify.tiebreak": "Tie-break!",
+    "notify.matchpoint": "Matchball {team} ({score})",
+    "notify.unsupported": "Nettleseren støtter ikke varsler.",
+    "notify.denied": "Varsler er blokkert i nettleseren. Endre det i nettstedsinnstillingene.",
+    "notify.enable": "Varsle meg om fulgte kamper",
+    "notify.help": "Følg en kamp med 🔔 på kortet. Varsler sendes når siden ligger i bakgrunnen.",
+    "notify.favourites": "Følg favorittene mine automatisk",
+    "notify.vibrate": "Vibrer",
+    "notify.whenVisible": "Også når siden er åpen",
+
+    "day.today": "I dag",
+    "day.yesterday": "I går",
+    "day.tomorrow": "I morgen",
+    "day.prev": "Forrige dag",
+    "day.next": "Neste dag",
+    "schedule.noUpcoming": "Ingen kommende kamper",
+    "schedule.noUpcomingText": "Det er ingen kamper satt opp denne dagen.",
+    "schedule.noResults": "Ingen resultater",
+    "schedule.noResultsText": "Det er ingen ferdigspilte kamper denne dagen.",
+
+    "profile.unknownNationality": "Ukjent nasjonalitet",
+    "profile.close": "✕ Lukk",
+    "profile.playingNow": "Spiller nå",
+    "profile.upcoming": "Neste kamper",
+    "profile.noUpcoming": "Ingen kommende kamper i dataene.",
+    "profile.results": "Siste resultater",
+    "profile.noResults": "Ingen resultater i dataene.",
+
+    "transport.stream": "Sanntid",
+    "transport.streamTitle": "Endringer pushes fortløpende",
+    "transport.poll": "Hvert {n}. sek",
+    "transport.pollTitle": "Henter alle kamper hvert {n}. sekund",
+    "focus.back": "← Tilbake til alle kamper",
+    "focus.info": "Viser én kamp i fokus. Skjermen holdes våken bare mens et sett faktisk pågår (der det støttes av nettleseren).",
+    "search.label": "Søk",
+    "search.placeholder": "Søk etter kamp, lag, spiller eller land",
+    "search.none": "Ingen treff",
+    "search.kind.match": "Kamp",
+    "search.kind.team": "Lag",
+    "search.kind.player": "Spiller",
+    "missing.title": "Kampen er ikke live nå",
+    "missing.gone": "Kampen i lenken finnes ikke lenger i livelista. Her er kampene som spilles nå.",
+    "missing.notLive": "Kampen i lenken er ikke i gang. Her er kampene som spilles nå.",
+    "missing.showAll": "Vis alle kamper",
+    "kiosk.none": "Ingen livekamper akkurat nå",
+    "session.recording": "Tar opp – {n} svar fra /live",
+    "session.download": "Last ned opptak",
+    "session.pick": "Velg opptak …",
+    "session.loading": "Laster opptak…",
+    "session.error": "Kan ikke spille av opptaket: {msg}",
+    "session.replaying": "Avspilling – svar {i} av {n}",
+    "session.done": "Avspillingen er ferdig",
+    "session.at": "kl. {time}",
+    "session.play": "Spill av",
+    "session.pause": "Pause",
+    "session.speedTitle": "Avspillingsfart",
+    "session.restart": "Start på nytt",
+    "embed.next": "Neste kamp",
+    "overlay.setPoint": "SETTBALL",
+    "overlay.matchPoint": "MATCHBALL",
+    "embed.noMatch": "Ingen kommende kamper",
+    "embed.notFound": "Fant ikke kampen",
+    "embed.open": "Åpne i Volleyball Live",
+    "live.none": "Ingen livekamper",
+
+    "hub.view.teams": "Lag",
+    "hub.view.players": "Spillere",
+    "hub.searchTeams": "Søk etter lag",
+    "hub.searchPlayers": "Søk etter spiller",
+    "hub.allCountries": "Alle land",
+    "hub.onlyNorwegian": "Bare norske spillere",
+    "hub.noTeams": "Ingen lag passer søket.",
+    "hub.noPlayers": "Ingen spillere passer søket.",
+    "hub.noRoster": "Ingen spillere registrert.",
+    "hub.unknownCountry": "Ukjent land",
+    "hub.noLeague": "Uten liga",
+  },
+
+  en: {
+    "lang.title": "Language",
+    "theme.dark": "🌙 Dark",
+    "theme.light": "🌞 Light",
+
+    "loading": "Loading…",
+    "error": "Error: {msg}",
+    "stale.at": "Offline – showing data from {time}.",
+    "stale.unknown": "Offline – showing the last saved data.",
+    "stale.retry": "Updates by itself when you are back online.",
+    "ref.loading": "Loading teams and players ({teams} teams and {players} players so far). Some matches may show under “Other” until everything is loaded.",
+    "ref.incomplete": "The team and player lists were not fully loaded ({teams} teams, {players} players). Some matches may show under “Other”. Trying again shortly.",
+
+    "view.live": "Live",
+    "view.upcoming": "Fixtures",
+    "view.results": "Results",
+
+    "filter.mine": "★ Mine",
+    "filter.mine.empty": "None of your favourites are playing now. Tap ☆ next to a team or player to follow them.",
+    "filter.mizuno": "Mizuno Norway",
+    "filter.mizuno.empty": "No teams from Norway are playing right now.",
+    "filter.abroad": "Norwegian players abroad",
+    "filter.abroad.empty": "No Norwegian players abroad are in action right now.",
+    "filter.other": "Other",
+    "filter.other.empty": "There are no other live matches at the moment.",
+
+    "status.LIVE": "LIVE",
+    "status.SLUTT": "FINAL",
+    "status.KOMMER": "UPCOMING",
+
+    "stage.final": "Final",
+    "stage.bronze": "Bronze medal match",
+    "stage.semi": "Semi-final",
+    "stage.quarter": "Quarter-final",
+    "stage.roundOf16": "Round of 16",
+    "stage.roundOf32": "Round of 32",
+    "stage.roundOf": "Round of {n}",
+    "stage.playoff": "Playoffs",
+    "stage.regular": "Regular season",
+    "stage.group": "Group {group}",
+    "stage.groupStage": "Group stage",
+    "stage.round": "round {n}",
+    "stage.leg1": "1st leg",
+    "stage.leg2": "2nd leg",
+    "stage.aggregate": "agg. {home}-{away}",
+    "stage.goldenSet": "Golden set",
+    "stage.playoffsOnly": "🏆 Playoffs only",
+    "stage.playoffsOnlyTitle": "Show only playoff and knockout matches",
+
+    "star.add": "Add to Mine: {name}",
+    "star.remove": "Remove from Mine: {name}",
+
+    "set.n": "Set {n}",
+    "card.inProgress": "In progress",
+    "card.tieBreak": "Tie-break",
+    "card.sets": "{home} - {away} in sets",
+    "card.serve": "Serve · {team}",
+    "card.serveHot": "Scoring run on own serve",
+    "card.serving": "Serving",
+    "card.servingInferred": "Serving (inferred)",
+    "card.serveRotation": "Serve · {team} · rotation {n}",
+    "card.breakPoint": "Break point",
+    "card.sideOut": "Side-out",
+    "card.follow": "Follow this match with notifications",
+    "card.unfollow": "Stop following this match",
+    "pressure.matchPoint": "Match point {team}",
+    "pressure.setPoint": "Set point {team}",
+    "pressure.deuce": "Deuce",
+    "momentum.title": "Momentum",
+    "momentum.aria": "Momentum per set",
+    "stats.match": "Whole match",
+    "stats.points": "Points",
+    "stats.longestRun": "Longest run",
+    "stats.sideOut": "Side-out %",
+    "stats.breakPoint": "Break-point %",
+    "stats.biggestLead": "Biggest lead",
+    "stats.comebacks": "Comebacks",
+    "stats.tracked": "Based on {n} points followed live",
+    "stats.none": "No points followed live yet",
+
+    "notify.button": "Notifications",
+    "notify.type.start": "Match start",
+    "notify.type.set": "Set won",
+    "notify.type.tiebreak": "Tie-break",
+    "notify.type.matchpoint": "Match point",
+    "notify.type.final": "Final result",
+    "notify.started": "The match has started",
+    "notify.final": "Final {sets} ({scores})",
+    "notify.setWon": "{team} won set {n} {score} · {sets} in sets",
+    "notify.tiebreak": "Tie-break!",
+    "notify.matchpoint": "Match point {team} ({score})",
+    "notify.unsupported": "This browser does not support notifications.",
+    "notify.denied": "Notifications are blocked in the browser. Change it in the site settings.",
+    "notify.enable": "Notify me about followed matches",
+    "notify.help": "Follow a match with 🔔 on its card. Notifications are sent while the page is in the background.",
+    "notify.favourites": "Follow my favourites automatically",
+    "notify.vibrate": "Vibrate",
+    "notify.whenVisible": "Also while the page is open",
+
+    "day.today": "Today",
+    "day.yesterday": "Yesterday",
+    "day.tomorrow": "Tomorrow",
+    "day.prev": "Previous day",
+    "day.next": "Next day",
+    "schedule.noUpcoming": "No upcoming matches",
+    "schedule.noUpcomingText": "No matches are scheduled for this day.",
+    "schedule.noResults": "No results",
+    "schedule.noResultsText": "No matches were finished on this day.",
+
+    "profile.unknownNationality": "Unknown nationality",
+    "profile.close": "✕ Close",
+    "profile.playingNow": "Playing now",
+    "profile.upcoming": "Next matches",
+    "profile.noUpcoming": "No upcoming matches in the data.",
+    "profile.results": "Latest results",
+    "profile.noResults": "No results in the data.",
+
+    "transport.stream": "Real time",
+    "transport.streamTitle": "Changes are pushed as they happen",
+    "transport.poll": "Every {n} s",
+    "transport.pollTitle": "Fetches all matches every {n} seconds",
+    "focus.back": "← Back to all matches",
+    "focus.info": "Showing one match in focus. The screen is kept awake only while a set is in progress (where the browser supports it).",
+    "search.label": "Search",
+    "search.placeholder": "Search matches, teams, players or countries",
+    "search.none": "No results",
+    "search.kind.match": "Match",
+    "search.kind.team": "Team",
+    "search.kind.player": "Player",
+    "missing.title": "This match is not live",
+    "missing.gone": "The linked match is no longer in the live list. Here are the matches being played now.",
+    "missing.notLive": "The linked match is not in progress. Here are the matches being played now.",
+    "missing.showAll": "Show all matches",
+    "kiosk.none": "No live matches right now",
+    "session.recording": "Recording – {n} responses from /live",
+    "session.download": "Download recording",
+    "session.pick": "Choose recording …",
+    "session.loading": "Loading recording…",
+    "session.error": "Cannot play the recording: {msg}",
+    "session.replaying": "Replay – response {i} of {n}",
+    "session.done": "Replay finished",
+    "session.at": "at {time}",
+    "session.play": "Play",
+    "session.pause": "Pause",
+    "session.speedTitle": "Playback speed",
+    "session.restart": "Restart",
+    "embed.next": "Next match",
+    "overlay.setPoint": "SET POINT",
+    "overlay.matchPoint": "MATCH POINT",
+    "embed.noMatch": "No upcoming matches",
+    "embed.notFound": "Match not found",
+    "embed.open": "Open in Volleyball Live",
+    "live.none": "No live matches",
+
+    "hub.view.teams": "Teams",
+    "hub.view.players": "Players",
+    "hub.searchTeams": "Search teams",
+    "hub.searchPlayers": "Search players",
+    "hub.allCountries": "All countries",
+    "hub.onlyNorwegian": "Norwegian players only",
+    "hub.noTeams": "No teams match the search.",
+    "hub.noPlayers": "No players match the search.",
+    "hub.noRoster": "No players registered.",
+    "hub.unknownCountry": "Unknown country",
+    "hub.noLeague": "No league",
+  },
+};
+
+// Lagret valg, ellers nettleserens språk (norsk for nb/nn/no, ellers engelsk)
+function detectLocale() {
+  try {
+    const stored = localStorage.getItem(LOCALE_KEY);
+    if (MESSAGES[stored]) return stored;
+  } catch (e) {}
+
+  const lang = String((typeof navigator !== "undefined" && navigator.language) || "").toLowerCase();
+  return /^(nb|nn|no)\b/.test(lang) || !lang ? "nb" : "en";
+}
+
+let activeLocale = detectLocale();
+
+function currentLocale() {
+  return activeLocale;
+}
+
+function localeInfo() {
+  return LOCALES.find(l => l.key === activeLocale) || LOCALES[0];
+}
+
+function localeTag() {
+  return localeInfo().tag;
+}
+
+function t(key, params) {
+  const text = MESSAGES[activeLocale][key] ?? MESSAGES.nb[key] ?? key;
+  if (!params) return text;
+  return text.replace(/\{(\w+)\}/g, (m, name) => (params[name] != null ? String(params[name]) : m));
+}
+
+// options.persist === false: bare denne siden (innebygd widget), ikke lagret valg
+function setLocale(key, options) {
+  if (!MESSAGES[key] || key === activeLocale) return;
+  activeLocale = key;
+  if (!options || options.persist !== false) {
+    try {
+      localStorage.setItem(LOCALE_KEY, key);
+    } catch (e) {}
+  }
+  applyDocumentLocale();
+  window.dispatchEvent(new CustomEvent(LOCALE_EVENT));
+}
+
+// <html lang> og elementer merket data-i18n="nøkkel"
+function applyDocumentLocale() {
+  document.documentElement.lang = localeInfo().htmlLang;
+  document.querySelectorAll("[data-i18n]").forEach(el => {
+    el.textContent = t(el.dataset.i18n);
+  });
+}
+
+/* ---- Formatering ---- */
+
+function formatTime(date) {
+  return date.toLocaleTimeString(localeTag(), { hour: "2-digit", minute: "2-digit" });
+}
+
+function formatDate(date, options) {
+  return date.toLocaleDateString(localeTag(), options);
+}
+
+function formatNumber(n, options) {
+  return new Intl.NumberFormat(localeTag(), options).format(n);
+}
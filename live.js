@@ -1,19 +1,10 @@
-const { useCallback, useEffect, useMemo, useRef, useState, memo } = React;
+const { useCallback, useDeferredValue, useEffect, useMemo, useRef, useState, memo } = React;
 
-const API_BASE = "https://volleyball.ronesse.no";
 const POLL_MS = 5000;
 
 /* ===========================
    Generelle helpers
    =========================== */
-function safeArray(x) { return Array.isArray(x) ? x : []; }
-function asStr(v){ return (v == null) ? "" : String(v).trim(); }
-function nonEmpty(v){ const s = asStr(v); return s ? s : null; }
-function asNum(v){
-  if (v == null || v === "") return null;
-  const n = Number(v);
-  return Number.isFinite(n) ? n : null;
-}
 function initials(name){
   const s = asStr(name);
   if (!s) return "—";
@@ -34,6 +25,12 @@ function liveLabel(statusType) {
   return statusType || "—";
 }
 
+// liveLabel gir koder som brukes i logikken; dette er teksten som vises
+function statusText(statusType) {
+  const code = liveLabel(statusType);
+  return ["LIVE", "SLUTT", "KOMMER"].includes(code) ? t("status." + code) : code;
+}
+
 function isLiveStatus(statusType) {
   const t = String(statusType || "").toLowerCase();
   return t.includes("inprogress") || t.includes("live") || t.includes("inplay");
@@ -51,33 +48,139 @@ function statusDot(statusType) {
    =========================== */
 
 function currentPoints(ev) {
+  const maxSets = ev.sets.length;
+
   let setNo = null;
-  const m = String(ev.status_desc || "").match(/(\d+)/);
+  const m = ev.statusDesc.match(/(\d+)/);
   if (m) setNo = Number(m[1]);
+  if (setNo > maxSets) setNo = null;
 
   if (!setNo) {
-    for (let i = 5; i >= 1; i--) {
-      if (ev["home_p" + i] != null || ev["away_p" + i] != null) { setNo = i; break; }
+    for (let i = maxSets; i >= 1; i--) {
+      if (ev.sets[i - 1]) { setNo = i; break; }
     }
   }
 
+  const set = setNo ? ev.sets[setNo - 1] : null;
   return {
     setNo: setNo,
-    home: setNo ? ev["home_p" + setNo] : null,
-    away: setNo ? ev["away_p" + setNo] : null,
+    home: set ? set.home : null,
+    away: set ? set.away : null,
   };
 }
 
+// Spillernavn for et beach-par. Sofascore gir dem som subTeams,
+// ellers er lagnavnet på formen "Mol A. / Sørum C.".
+function pairNames(ev, side) {
+  const subs = safeArray(ev.raw?.[side + "Team"]?.subTeams).map(t => asStr(t?.name)).filter(Boolean);
+  if (subs.length) return subs;
+  return (side === "home" ? ev.homeName : ev.awayName).split("/").map(asStr).filter(Boolean);
+}
+
+// Settball / matchball / deuce til playLabel
+function pressureLabel(state, ev) {
+  if (state.matchPoint) {
+    return {
+      type: "match-point",
+      text: t("pressure.matchPoint", { team: state.matchPoint === "home" ? ev.homeName : ev.awayName }),
+    };
+  }
+  if (state.setPoint) {
+    return {
+      type: "set-point",
+      text: t("pressure.setPoint", { team: state.setPoint === "home" ? ev.homeName : ev.awayName }),
+    };
+  }
+  if (state.deuce) return { type: "deuce", text: t("pressure.deuce") };
+  return null;
+}
+
 /* ===========================
    Filter-knapper
    =========================== */
 
+// Tekstene ligger i i18n.js: filter.<key> og filter.<key>.empty
 const FILTERS = [
-  { key: "mizuno", label: "Mizuno Norge", empty: "Det er ingen pågående kamper for lag fra Norge nå." },
-  { key: "abroad", label: "Norske spillere i utlandet", empty: "Det er ingen norske spillere i utlandet i aksjon nå." },
-  { key: "other",  label: "Andre", empty: "Det er ingen andre livekamper for øyeblikket." },
+  { key: "mine" },
+  { key: "mizuno" },
+  { key: "abroad" },
+  { key: "other" },
 ];
 
+/* ===========================
+   Favoritter (localStorage)
+   =========================== */
+
+const FAVOURITES_KEY = "volley.favourites";
+
+function loadFavourites() {
+  try {
+    const raw = JSON.parse(localStorage.getItem(FAVOURITES_KEY) || "null");
+    return {
+      teams: safeArray(raw?.teams).map(asNum).filter(x => x != null),
+      players: safeArray(raw?.players).map(asStr).filter(Boolean),
+    };
+  } catch (e) {
+    return { teams: [], players: [] };
+  }
+}
+
+function toggleIn(list, value) {
+  return list.includes(value) ? list.filter(x => x !== value) : list.concat([value]);
+}
+
+function useFavourites() {
+  const [favourites, setFavourites] = useState(loadFavourites);
+
+  useEffect(() => {
+    try {
+      localStorage.setItem(FAVOURITES_KEY, JSON.stringify(favourites));
+    } catch (e) {
+      console.warn("Kunne ikke lagre favoritter:", e);
+    }
+  }, [favourites]);
+
+  // Andre faner endrer samme nøkkel
+  useEffect(() => {
+    function onStorage(e) {
+      if (e.key === FAVOURITES_KEY) setFavourites(loadFavourites());
+    }
+    window.addEventListener("storage", onStorage);
+    return () => window.removeEventListener("storage", onStorage);
+  }, []);
+
+  const toggleTeam = useCallback((teamId) => {
+    const id = asNum(teamId);
+    if (id == null) return;
+    setFavourites(prev => ({ ...prev, teams: toggleIn(prev.teams, id) }));
+  }, []);
+
+  const togglePlayer = useCallback((playerId) => {
+    const id = nonEmpty(playerId);
+    if (!id) return;
+    setFavourites(prev => ({ ...prev, players: toggleIn(prev.players, id) }));
+  }, []);
+
+  return { favourites, toggleTeam, togglePlayer };
+}
+
+function StarButton({ active, onToggle, label }) {
+  return (
+    <button
+      type="button"
+      className={"starBtn" + (active ? " active" : "")}
+      aria-pressed={active}
+      title={t(active ? "star.remove" : "star.add", { name: label })}
+      onClick={(e) => {
+        e.stopPropagation();
+        onToggle();
+      }}
+    >
+      {active ? "★" : "☆"}
+    </button>
+  );
+}
+
 /* ===========================
    Image cache / logoer
    =========================== */
@@ -112,6 +215,12 @@ function useImageStatus(src) {
   return status;
 }
 
+function LogoImg({ src }) {
+  const status = useImageStatus(src);
+  if (!src || status !== "ok") return null;
+  return <img src={src} alt="" loading="lazy" />;
+}
+
 function LogoBox(props) {
   const src = props.src;
   const status = useImageStatus(src);
@@ -128,19 +237,446 @@ function LogoBox(props) {
 }
 
 /* ===========================
-   URL-regler
+   Spillere
+   =========================== */
+
+function isNorwegianPlayer(p) {
+  return asStr(p.nationality).toLowerCase().includes("nor");
+}
+
+/* ===========================
+   Ruting (URL-hash)
+   =========================== */
+
+/*
+  #/live?filter=abroad&event=123   livekamper, filter og kamp i fokus
+  #/live/upcoming?day=2026-10-18   program (results: resultater)
+  …&stage=playoff                  bare sluttspill (alle visningene)
+  #/hub                            Volley Hub
+  #/hub?team=123                   Volley Hub med laget åpent (fra søket)
+
+  Fanen settes av skriptet i index.html; resten eies av App i live.js.
+  Mangler filter, velges det automatisk ut fra hva som spilles.
+*/
+
+const ROUTE_VIEWS = ["live", "upcoming", "results"];
+
+function parseRoute(hash) {
+  const m = String(hash || "").match(/^#\/([^?]*)(?:\?(.*))?$/);
+  const parts = m ? m[1].split("/").filter(Boolean) : [];
+  const q = new URLSearchParams(m && m[2] ? m[2] : "");
+
+  const filter = q.get("filter");
+  const day = q.get("day") || "";
+
+  return {
+    tab: parts[0] || "live",
+    view: ROUTE_VIEWS.includes(parts[1]) ? parts[1] : "live",
+    filter: FILTERS.some(f => f.key === filter) ? filter : null,
+    event: nonEmpty(q.get("event")),
+    day: /^\d{4}-\d{2}-\d{2}$/.test(day) ? day : null,
+    playoffs: q.get("stage") === "playoff",
+  };
+}
+
+function formatRoute(route) {
+  const q = new URLSearchParams();
+  if (route.view === "live") {
+    if (route.filter) q.set("filter", route.filter);
+    if (route.event != null) q.set("event", String(route.event));
+  } else if (route.day) {
+    q.set("day", route.day);
+  }
+  if (route.playoffs) q.set("stage", "playoff");
+
+  const qs = q.toString();
+  return "#/live" + (route.view !== "live" ? "/" + route.view : "") + (qs ? "?" + qs : "");
+}
+
+/* ===========================
+   Kioskmodus (TV i klubbhuset)
+   =========================== */
+
+/*
+  Settes opp én gang med parametre i adressen (ikke hashen), som ?api=:
+
+  ?kiosk                        rutenett i stor skrift med alle livekamper, uten knapper
+  &filter=mizuno,abroad         filtre som tas med (standard: alle)
+  &stage=playoff                bare sluttspill
+  &rotate=30                    sekunder per visning når det roteres (standard 30)
+  &margin=2                     jevnt sett: høyst så mange poeng skiller (se isTightSet)
+  &theme=dark  &lang=en
+
+  Jevne sett vises i fokus etter tur, med rutenettet imellom.
+*/
+
+const KIOSK_ROTATE_S = 30;
+const KIOSK_MARGIN = 2;
+
+function parseKiosk(search) {
+  const q = new URLSearchParams(search || "");
+  if (!q.has("kiosk") || q.get("kiosk") === "0") return null;
+
+  const filters = String(q.get("filter") || "")
+    .split(",")
+    .map(s => s.trim())
+    .filter(key => FILTERS.some(f => f.key === key));
+
+  const rotate = Number(q.get("rotate"));
+  const margin = q.has("margin") ? Number(q.get("margin")) : KIOSK_MARGIN;
+  const lang = q.get("lang");
+
+  return {
+    filters: filters.length ? filters : FILTERS.map(f => f.key),
+    playoffs: q.get("stage") === "playoff",
+    rotateMs: (rotate >= 5 ? rotate : KIOSK_ROTATE_S) * 1000,
+    margin: Number.isFinite(margin) && margin >= 0 ? margin : KIOSK_MARGIN,
+    theme: q.get("theme") === "dark" ? "dark" : null,
+    lang: LOCALES.some(l => l.key === lang) ? lang : null,
+  };
+}
+
+const KIOSK = parseKiosk(window.location.search);
+
+// Rutenettet (null) og så hver jevne kamp etter tur; en kamp som ikke er jevn
+// lenger sender oss tilbake til rutenettet
+function nextKioskFocus(current, tightKeys) {
+  const cycle = [null].concat(tightKeys);
+  return cycle[(cycle.indexOf(current) + 1) % cycle.length];
+}
+
+function useKioskRotation(events) {
+  const [focusKey, setFocusKey] = useState(null);
+
+  const tightKeys = useMemo(() => {
+    if (!KIOSK) return [];
+    return events
+      .filter(ev => isTightSet(ev.sets, ev.format, KIOSK.margin))
+      .map(ev => ev.key);
+  }, [events]);
+
+  const tightRef = useRef(tightKeys);
+  tightRef.current = tightKeys;
+
+  useEffect(() => {
+    if (!KIOSK) return undefined;
+    const id = setInterval(() => {
+      setFocusKey(cur => nextKioskFocus(cur, tightRef.current));
+    }, KIOSK.rotateMs);
+    return () => clearInterval(id);
+  }, []);
+
+  return focusKey != null && events.some(ev => ev.key === focusKey) ? focusKey : null;
+}
+
+// Fullskjerm, tema og språk; nettleseren kan kreve et trykk før fullskjerm,
+// så vi prøver igjen ved første berøring eller tastetrykk
+function useKioskDocument() {
+  useEffect(() => {
+    if (!KIOSK) return undefined;
+
+    document.body.classList.add("kiosk");
+    if (KIOSK.theme) document.body.setAttribute("data-theme", KIOSK.theme);
+    // Språket i kiosk-adressen gjelder bare skjermen, ikke valget i vanlig app
+    if (KIOSK.lang && KIOSK.lang !== currentLocale()) setLocale(KIOSK.lang, { persist: false });
+
+    function enterFullscreen() {
+      const el = document.documentElement;
+      if (document.fullscreenElement || !el.requestFullscreen) return;
+      el.requestFullscreen().catch(() => {});
+    }
+
+    enterFullscreen();
+    window.addEventListener("pointerdown", enterFullscreen);
+    window.addEventListener("keydown", enterFullscreen);
+    return () => {
+      document.body.classList.remove("kiosk");
+      window.removeEventListener("pointerdown", enterFullscreen);
+      window.removeEventListener("keydown", enterFullscreen);
+    };
+  }, []);
+}
+
+// Id fra URL er tekst, fra API ofte tall
+function sameId(a, b) {
+  return a != null && b != null && String(a) === String(b);
+}
+
+/* ===========================
+   Opptak og avspilling (replay.js)
+   =========================== */
+
+/*
+  Kobler SESSION (?record / ?replay) til App. fetchLive er det loadLive henter
+  med: vanlig fetchLive, fetchLive med opptak, eller svaret avspillingen står på.
+  Timeren som går gjennom opptaket ligger i App, siden den kaller loadLive.
+  generation økes hver gang avspillingen starter forfra (nytt opptak eller
+  "Start på nytt"), så App kan glemme det som er bygd opp fra forrige runde.
+*/
+function useLiveSession() {
+  const [recorder] = useState(() => (SESSION && SESSION.mode === "record" ? createRecorder() : null));
+  const [replay, setReplay] = useState(null);
+  const [error, setError] = useState("");
+  const [playing, setPlaying] = useState(true);
+  const [speed, setSpeed] = useState(SESSION && SESSION.speed ? SESSION.speed : 1);
+  const [position, setPosition] = useState(-1);
+  const [generation, setGeneration] = useState(0);
+
+  const replaying = !!SESSION && SESSION.mode === "replay";
+
+  const source = useMemo(() => {
+    if (recorder) return recordingFetchLive(recorder);
+    if (replaying) return replayFetchLive(replay);
+    return fetchLive;
+  }, [recorder, replaying, replay]);
+
+  const start = useCallback((recording) => {
+    setReplay(createReplay(recording));
+    setPosition(-1);
+    setPlaying(true);
+    setError("");
+    setGeneration(g => g + 1);
+  }, []);
+
+  useEffect(() => {
+    if (!replaying || !SESSION.src) return undefined;
+    let cancelled = false;
+    const controller = new AbortController();
+
+    (async () => {
+      try {
+        const recording = await fetchRecording(SESSION.src, controller.signal);
+        if (!cancelled) start(recording);
+      } catch (e) {
+        if (String(e && e.name) === "AbortError") return;
+        setError(String((e && e.message) ? e.message : e));
+      }
+    })();
+
+    return () => {
+      cancelled = true;
+      controller.abort();
+    };
+  }, [replaying, start]);
+
+  const openFile = useCallback(async (file) => {
+    try {
+      start(await readRecordingFile(file));
+    } catch (e) {
+      setError(String((e && e.message) ? e.message : e));
+    }
+  }, [start]);
+
+  const restart = useCallback(() => {
+    if (!replay) return;
+    replay.rewind();
+    setPosition(-1);
+    setPlaying(true);
+    setGeneration(g => g + 1);
+  }, [replay]);
+
+  return {
+    active: !!SESSION,
+    replaying: replaying,
+    source: source,
+    recorder: recorder,
+    replay: replay,
+    error: error,
+    playing: playing,
+    setPlaying: setPlaying,
+    speed: speed,
+    setSpeed: setSpeed,
+    position: position,
+    setPosition: setPosition,
+    generation: generation,
+    openFile: openFile,
+    restart: restart,
+  };
+}
+
+function SessionBar({ session }) {
+  const recorder = session.recorder;
+  if (recorder) {
+    const n = recorder.frames.length;
+    return (
+      <div className="sessionBar">
+        <span className="recDot" aria-hidden="true"></span>
+        <span>{t("session.recording", { n: formatNumber(n) })}</span>
+        <button className="btn" disabled={n === 0} onClick={() => downloadRecording(recorder)}>
+          {t("session.download")}
+        </button>
+      </div>
+    );
+  }
+
+  const replay = session.replay;
+  const frame = replay ? replay.current() : null;
+  const done = !!replay && !session.playing && session.position === replay.length - 1;
+  const recordedAt = replay && replay.recordedAt ? Date.parse(replay.recordedAt) : NaN;
+
+  return (
+    <div className="sessionBar">
+      {!SESSION.src && (
+        <label className="btn">
+          {t("session.pick")}
+          <input
+            type="file"
+            accept=".json,application/json"
+            hidden
+            onChange={(e) => { if (e.target.files[0]) session.openFile(e.target.files[0]); }}
+          />
+        </label>
+      )}
+      {session.error && <span className="sessionError">{t("session.error", { msg: session.error })}</span>}
+      {!replay && SESSION.src && !session.error && <span>{t("session.loading")}</span>}
+      {replay && (
+        <>
+          <span>
+            {done
+              ? t("session.done")
+              : t("session.replaying", { i: formatNumber(session.position + 1), n: formatNumber(replay.length) })}
+            {frame && Number.isFinite(recordedAt) && " · " + t("session.at", { time: formatTime(new Date(recordedAt + frame.t)) })}
+          </span>
+          <button
+            className="btn"
+            disabled={done}
+            aria-label={t(session.playing ? "session.pause" : "session.play")}
+            onClick={() => session.setPlaying(v => !v)}
+          >
+            {session.playing ? "⏸" : "▶"}
+          </button>
+          {REPLAY_SPEEDS.map(s => (
+            <button
+              key={s}
+              className={"btn" + (session.speed === s ? " primary" : "")}
+              title={t("session.speedTitle")}
+              onClick={() => session.setSpeed(s)}
+            >
+              {s}×
+            </button>
+          ))}
+          <button className="btn" onClick={session.restart}>{t("session.restart")}</button>
+        </>
+      )}
+    </div>
+  );
+}
+
+/* ===========================
+   Lag og spillere (refdata.js)
+   =========================== */
+
+// Lista fra IndexedDB og API-et (loadReferenceList), og en ny runde når den er
+// for gammel eller ikke ble hentet helt, så lenge siden er åpen
+function useReferenceList(kind) {
+  const [state, setState] = useState(EMPTY_REFERENCE);
+  const [round, setRound] = useState(0);
+  // Neste runde starter fra det som vises, ikke fra en tom liste
+  const stateRef = useRef(state);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    let timer = null;
+
+    (async () => {
+      try {
+        const last = await loadReferenceList(kind, controller.signal, (next) => {
+          if (controller.signal.aborted) return;
+          stateRef.current = next;
+          setState(next);
+        }, stateRef.current);
+        if (controller.signal.aborted) return;
+        timer = setTimeout(() => setRound(r => r + 1), referenceRefreshDelay(last, Date.now()));
+      } catch (e) {
+        if (String(e && e.name) === "AbortError") return;
+        console.warn("Feil ved lasting av " + kind + ":", e);
+      }
+    })();
+
+    return () => {
+      controller.abort();
+      clearTimeout(timer);
+    };
+  }, [kind, round]);
+
+  return state;
+}
+
+// Vises så lenge lag- eller spillerlista ikke er komplett: da kan kamper
+// havne under "Andre" og norske spillere mangle
+function ReferenceNotice({ teams, players }) {
+  if (teams.complete && players.complete) return null;
+
+  const loading = (!teams.complete && teams.loading) || (!players.complete && players.loading);
+  const counts = {
+    teams: formatNumber(teams.items.length),
+    players: formatNumber(players.items.length),
+  };
+
+  return (
+    <div className="refNotice" role="status">
+      {loading ? t("ref.loading", counts) : t("ref.incomplete", counts)}
+    </div>
+  );
+}
+
+/* ===========================
+   Delt tilstand mellom fanene
    =========================== */
 
-function teamLogoUrl(sofaTeamId) {
-  const id = nonEmpty(sofaTeamId);
-  if (!id) return null;
-  return API_BASE + "/img/teams/" + id + ".png";
+// Live-appen eier hentingen; Hub (hub.js) leser herfra i stedet for å hente selv.
+// Listene har modellen fra api.js.
+const shared = {
+  live: [],
+  teams: [],
+  players: [],
+  reference: { teams: EMPTY_REFERENCE, players: EMPTY_REFERENCE },
+};
+const SHARED_EVENT = "volley:shared";
+const PROFILE_EVENT = "volley:player";
+
+function publishShared(patch) {
+  Object.assign(shared, patch);
+  window.dispatchEvent(new CustomEvent(SHARED_EVENT));
+}
+
+function useShared(key) {
+  const [value, setValue] = useState(shared[key]);
+  useEffect(() => {
+    function onChange() { setValue(shared[key]); }
+    window.addEventListener(SHARED_EVENT, onChange);
+    onChange();
+    return () => window.removeEventListener(SHARED_EVENT, onChange);
+  }, [key]);
+  return value;
+}
+
+// Rendrer komponenten på nytt når språket byttes (setLocale i i18n.js)
+function useLocale() {
+  const [locale, setLocaleState] = useState(currentLocale);
+  useEffect(() => {
+    function onChange() { setLocaleState(currentLocale()); }
+    window.addEventListener(LOCALE_EVENT, onChange);
+    onChange();
+    return () => window.removeEventListener(LOCALE_EVENT, onChange);
+  }, []);
+  return locale;
+}
+
+// Bytt til Livescore-fanen og sett kampen i fokus (via ruten, se under)
+function openLiveEvent(id) {
+  window.location.hash = formatRoute({ view: "live", event: id });
+  window.scrollTo(0, 0);
+}
+
+// Bytt til Hub-fanen med laget åpent; HubApp i hub.js leser og fjerner ?team
+function openHubTeam(id) {
+  window.location.hash = "#/hub?team=" + encodeURIComponent(id);
 }
 
-function playerPhotoUrl(playerId) {
-  const id = nonEmpty(playerId);
-  if (!id) return null;
-  return API_BASE + "/img/players/" + id + ".jpg";
+// Spillerprofilen vises over begge fanene (se PlayerProfile)
+function openPlayerProfile(id) {
+  window.dispatchEvent(new CustomEvent(PROFILE_EVENT, { detail: { id: id } }));
 }
 
 /* ===========================
@@ -157,16 +693,31 @@ const SetBox = memo(function SetBox(props) {
   );
 });
 
+/* ===========================
+   Par-navn (beach)
+   =========================== */
+
+function PairNames({ names }) {
+  return (
+    <span className="pairNames">
+      {names.map((n, i) => <span key={i} className="teamName">{n}</span>)}
+    </span>
+  );
+}
+
 /* ===========================
    Serve-icon
    =========================== */
 
-function ServeIcon({ side, hot, highlight }) {
+// confidence "medium": serven er utledet (run eller regelen for første serve), ikke sett
+function ServeIcon({ side, hot, highlight, confidence }) {
+  const inferred = confidence === "medium";
   const className =
     "serveIcon " +
     (side === "home" ? "home" : "away") +
     (hot ? " hot" : "") +
-    (highlight ? " blinkScore" : "");
+    (highlight ? " blinkScore" : "") +
+    (inferred ? " inferred" : "");
 
   const isHome = side === "home";
 
@@ -175,8 +726,8 @@ function ServeIcon({ side, hot, highlight }) {
       className={className}
       title={
         hot
-          ? "Poeng-run på egen serve"
-          : "Server"
+          ? t("card.serveHot")
+          : inferred ? t("card.servingInferred") : t("card.serving")
       }
       aria-hidden="true"
     >
@@ -189,27 +740,6 @@ function ServeIcon({ side, hot, highlight }) {
   );
 }
 
-/* ===========================
-   ID helpers
-   =========================== */
-
-function getHomeId(ev) { return ev.home_team_id ?? ev.home_teams_id ?? null; }
-function getAwayId(ev) { return ev.away_team_id ?? ev.away_teams_id ?? null; }
-
-function eventId(ev) {
-  return ev.event_id ?? ev.custom_id ?? null;
-}
-
-function eventKey(ev) {
-  const id = eventId(ev);
-  if (id != null) return String(id);
-  return (
-    String(ev.start_ts ?? "") + "-" +
-    String(ev.home_team_name ?? "") + "-" +
-    String(ev.away_team_name ?? "")
-  );
-}
-
 /* ===========================
    Grupplogikk (teams-tabellen)
    =========================== */
@@ -219,8 +749,8 @@ function classifyEventGroup(ev, teamsBySofaId) {
     return "other";
   }
 
-  const homeTeam = teamsBySofaId.get(getHomeId(ev));
-  const awayTeam = teamsBySofaId.get(getAwayId(ev));
+  const homeTeam = teamsBySofaId.get(ev.homeId);
+  const awayTeam = teamsBySofaId.get(ev.awayId);
 
   const hasHome = !!homeTeam;
   const hasAway = !!awayTeam;
@@ -237,330 +767,50 @@ function classifyEventGroup(ev, teamsBySofaId) {
 }
 
 /* ===========================
-   Tournament + season fra /live
-   =========================== */
-function getTournamentAndSeason(ev) {
-  let tournament = asStr(ev.tournament_name);
-  let season = asStr(ev.season_name);
-
-  if (!tournament && ev.tournament?.name) {
-    tournament = asStr(ev.tournament.name);
-  }
-  if (!season && ev.season?.name) {
-    season = asStr(ev.season.name);
-  }
-  if (!season && ev.tournament?.season?.name) {
-    season = asStr(ev.tournament.season.name);
-  }
-
-  if (ev.raw_json && (!tournament || !season)) {
-    try {
-      const raw = JSON.parse(ev.raw_json);
-
-      if (!tournament) {
-        tournament =
-          asStr(raw?.tournament?.name) ||
-          asStr(raw?.uniqueTournament?.name);
-      }
-
-      if (!season) {
-        season =
-          asStr(raw?.season?.name) ||
-          asStr(raw?.tournament?.season?.name);
-      }
-    } catch (e) {}
-  }
-
-  return {
-    tournament: tournament || "—",
-    season: season || null,
-  };
-}
-
-/* ===========================
-   Land + flagg
+   Land + flagg (countries.js)
    =========================== */
 
-const COUNTRY_ALIASES = {
-  // Europa
-  "norway": "NO", "norge": "NO",
-  "sweden": "SE", "sverige": "SE",
-  "denmark": "DK", "danmark": "DK",
-  "finland": "FI",
-  "iceland": "IS", "island": "IS",
-  "germany": "DE", "tyskland": "DE",
-  "france": "FR", "frankrike": "FR",
-  "italy": "IT", "italia": "IT",
-  "spain": "ES", "spania": "ES",
-  "portugal": "PT",
-  "netherlands": "NL", "nederland": "NL",
-  "belgium": "BE", "belgia": "BE",
-  "switzerland": "CH", "sveits": "CH",
-  "austria": "AT", "østerrike": "AT", "oesterreich": "AT",
-  "poland": "PL", "polen": "PL",
-  "czechia": "CZ", "czech republic": "CZ",
-  "slovakia": "SK",
-  "hungary": "HU", "ungarn": "HU",
-  "romania": "RO",
-  "bulgaria": "BG",
-  "slovenia": "SI",
-  "croatia": "HR",
-  "serbia": "RS",
-  "bosnia": "BA", "bosnia and herzegovina": "BA",
-  "montenegro": "ME",
-  "north macedonia": "MK", "macedonia": "MK",
-  "albania": "AL",
-  "greece": "GR",
-  "turkey": "TR", "tyrkia": "TR",
-  "ukraine": "UA",
-  "belarus": "BY",
-  "moldova": "MD",
-  "latvia": "LV",
-  "lithuania": "LT", "litauen": "LT",
-  "estonia": "EE", "estland": "EE",
-  "ireland": "IE",
-  "scotland": "GB",
-  "england": "GB",
-  "wales": "GB",
-  "kosovo": "XK",
-  "andorra": "AD",
-  "monaco": "MC",
-  "liechtenstein": "LI",
-  "luxembourg": "LU",
-  "san marino": "SM",
-  "malta": "MT",
-  "cyprus": "CY",
-
-  // Sør-Amerika
-  "brazil": "BR", "brasil": "BR",
-  "argentina": "AR",
-  "chile": "CL",
-  "uruguay": "UY",
-  "paraguay": "PY",
-  "bolivia": "BO",
-  "peru": "PE",
-  "ecuador": "EC",
-  "colombia": "CO",
-  "venezuela": "VE",
-  "suriname": "SR",
-  "guyana": "GY",
-
-  // Afrika
-  "south africa": "ZA",
-  "egypt": "EG",
-  "tunisia": "TN",
-  "morocco": "MA", "marokko": "MA",
-  "algeria": "DZ",
-  "nigeria": "NG",
-  "ghana": "GH",
-  "senegal": "SN",
-  "ivory coast": "CI", "cote d'ivoire": "CI",
-  "cameroon": "CM",
-  "kenya": "KE",
-  "uganda": "UG",
-  "tanzania": "TZ",
-  "ethiopia": "ET",
-  "angola": "AO",
-  "zambia": "ZM",
-  "zimbabwe": "ZW",
-  "mozambique": "MZ",
-  "namibia": "NA",
-  "botswana": "BW",
-  "madagascar": "MG",
-  "mali": "ML",
-  "niger": "NE",
-  "chad": "TD",
-  "sudan": "SD",
-  "south sudan": "SS",
-  "somalia": "SO",
-  "libya": "LY",
-  "democratic republic of the congo": "CD",
-  "congo": "CG",
-  "rwanda": "RW",
-  "burundi": "BI",
-  "sierra leone": "SL",
-  "liberia": "LR",
-  "benin": "BJ",
-  "togo": "TG",
-  "gambia": "GM",
-  "guinea": "GN",
-  "guinea-bissau": "GW",
-  "mauritania": "MR",
-  "cape verde": "CV", "cabo verde": "CV",
-
-  // bonus
-  "usa": "US", "united states": "US",
-  "canada": "CA",
-  "japan": "JP", "japen": "JP",
-};
-
-const ISO_LABEL = {
-  NO: "Norway",
-  SE: "Sweden",
-  DK: "Denmark",
-  FI: "Finland",
-  IS: "Iceland",
-  DE: "Germany",
-  FR: "France",
-  IT: "Italy",
-  ES: "Spain",
-  PT: "Portugal",
-  NL: "Netherlands",
-  BE: "Belgium",
-  CH: "Switzerland",
-  AT: "Austria",
-  PL: "Poland",
-  CZ: "Czechia",
-  SK: "Slovakia",
-  HU: "Hungary",
-  RO: "Romania",
-  BG: "Bulgaria",
-  SI: "Slovenia",
-  HR: "Croatia",
-  RS: "Serbia",
-  BA: "Bosnia & Herzegovina",
-  ME: "Montenegro",
-  MK: "North Macedonia",
-  AL: "Albania",
-  GR: "Greece",
-  TR: "Turkey",
-  UA: "Ukraine",
-  BY: "Belarus",
-  MD: "Moldova",
-  LV: "Latvia",
-  LT: "Lithuania",
-  EE: "Estonia",
-  IE: "Ireland",
-  GB: "United Kingdom",
-  XK: "Kosovo",
-  AD: "Andorra",
-  MC: "Monaco",
-  LI: "Liechtenstein",
-  LU: "Luxembourg",
-  SM: "San Marino",
-  MT: "Malta",
-  CY: "Cyprus",
-
-  BR: "Brazil",
-  AR: "Argentina",
-  CL: "Chile",
-  UY: "Uruguay",
-  PY: "Paraguay",
-  BO: "Bolivia",
-  PE: "Peru",
-  EC: "Ecuador",
-  CO: "Colombia",
-  VE: "Venezuela",
-  SR: "Suriname",
-  GY: "Guyana",
-
-  ZA: "South Africa",
-  EG: "Egypt",
-  TN: "Tunisia",
-  MA: "Morocco",
-  DZ: "Algeria",
-  NG: "Nigeria",
-  GH: "Ghana",
-  SN: "Senegal",
-  CI: "Ivory Coast",
-  CM: "Cameroon",
-  KE: "Kenya",
-  UG: "Uganda",
-  TZ: "Tanzania",
-  ET: "Ethiopia",
-  AO: "Angola",
-  ZM: "Zambia",
-  ZW: "Zimbabwe",
-  MZ: "Mozambique",
-  NA: "Namibia",
-  BW: "Botswana",
-  MG: "Madagascar",
-  ML: "Mali",
-  NE: "Niger",
-  TD: "Chad",
-  SD: "Sudan",
-  SS: "South Sudan",
-  SO: "Somalia",
-  LY: "Libya",
-  CD: "DR Congo",
-  CG: "Congo",
-  RW: "Rwanda",
-  BI: "Burundi",
-  SL: "Sierra Leone",
-  LR: "Liberia",
-  BJ: "Benin",
-  TG: "Togo",
-  GM: "Gambia",
-  GN: "Guinea",
-  GW: "Guinea-Bissau",
-  MR: "Mauritania",
-  CV: "Cabo Verde",
-
-  US: "United States",
-  CA: "Canada",
-  JP: "Japan",
-};
-
-function isoToFlag(iso) {
-  if (!iso || iso.length !== 2) return null;
-  const codePoints = [...iso.toUpperCase()]
-    .map(c => 0x1F1E6 + c.charCodeAt(0) - 65);
-  return String.fromCodePoint(...codePoints);
+// Strukturert kode fra Sofascore først, så lagenes land, så fritekst
+function deriveCountryIso(ev, teamsBySofaId) {
+  const home = teamsBySofaId.get(ev.homeId);
+  const away = teamsBySofaId.get(ev.awayId);
+  const category = ev.raw?.tournament?.category || null;
+
+  return resolveCountryIso([
+    { alpha2: category?.country?.alpha2 },
+    { alpha2: category?.alpha2 },
+    { name: home?.country },
+    { name: away?.country },
+    { name: category?.country?.name },
+    { name: category?.name },
+    { text: `${ev.tournament} ${ev.season || ""}` },
+  ]);
 }
 
 function deriveCountryLabel(ev, teamsBySofaId) {
-  const home = teamsBySofaId.get(getHomeId(ev));
-  const away = teamsBySofaId.get(getAwayId(ev));
-
-  let raw =
-    home?.country ||
-    away?.country ||
-    null;
-
-  if (!raw && ev.raw_json) {
-    try {
-      const j = JSON.parse(ev.raw_json);
-      raw =
-        j?.tournament?.category?.country?.name ||
-        j?.tournament?.category?.name ||
-        null;
-    } catch (e) {}
-  }
-
-  if (!raw) {
-    const ts = getTournamentAndSeason(ev);
-    raw = `${ts.tournament || ""} ${ts.season || ""}`;
-  }
-
-  const text = asStr(raw).toLowerCase();
-  if (!text) return null;
-
-  let iso = null;
-  for (const key in COUNTRY_ALIASES) {
-    if (text.includes(key)) {
-      iso = COUNTRY_ALIASES[key];
-      break;
-    }
-  }
+  const iso = deriveCountryIso(ev, teamsBySofaId);
   if (!iso) return null;
 
   const flag = isoToFlag(iso);
-  const label = ISO_LABEL[iso] || iso;
+  const label = countryName(iso, currentLocale());
   return flag ? `${flag} ${label}` : label;
 }
 
+// Landnavn fra dataene (ofte norske, "Norge") på valgt språk
+function localizedCountry(name) {
+  const iso = countryIsoFromName(name);
+  return iso ? countryName(iso, currentLocale()) : asStr(name);
+}
+
 /* ===========================
    Liga-nivå + playoff/finals
    =========================== */
 
 function deriveLeagueLevel(ev, teamsBySofaId) {
-  const { season, tournament } = getTournamentAndSeason(ev);
-
-  const home = teamsBySofaId.get(getHomeId(ev));
-  const away = teamsBySofaId.get(getAwayId(ev));
+  const { season, tournament } = ev;
 
-  const homeLeague = asStr(home?.league);
-  const awayLeague = asStr(away?.league);
+  const homeLeague = teamsBySofaId.get(ev.homeId)?.league || "";
+  const awayLeague = teamsBySofaId.get(ev.awayId)?.league || "";
 
   const group = classifyEventGroup(ev, teamsBySofaId);
 
@@ -577,85 +827,124 @@ function deriveLeagueLevel(ev, teamsBySofaId) {
   return season || tournament || homeLeague || awayLeague || null;
 }
 
-function deriveStageLabel(ev) {
-  let rawStage = null;
+function isPlayoffEvent(ev) {
+  return !!ev.stage && ev.stage.playoff;
+}
 
-  if (ev.round_name) rawStage = asStr(ev.round_name);
-  if (!rawStage && ev.roundInfo?.name) rawStage = asStr(ev.roundInfo.name);
+// "Semifinale · Returkamp · sammenlagt 1-1 · Golden set", "Seriespill · runde 12"
+function stageLabel(stage) {
+  if (!stage) return null;
+
+  const parts = [];
+  if (stage.kind === "group") {
+    parts.push(stage.group ? t("stage.group", { group: stage.group }) : t("stage.groupStage"));
+  } else if (stage.kind === "roundOf") {
+    parts.push(
+      stage.roundOf === 16 ? t("stage.roundOf16") :
+      stage.roundOf === 32 ? t("stage.roundOf32") :
+      t("stage.roundOf", { n: stage.roundOf })
+    );
+  } else if (stage.kind === "other") {
+    parts.push(stage.raw);
+  } else {
+    parts.push(t("stage." + stage.kind));
+  }
 
-  if (!rawStage && ev.raw_json) {
-    try {
-      const j = JSON.parse(ev.raw_json);
-      rawStage = asStr(j?.roundInfo?.name);
-    } catch (e) {}
-  }
+  if (stage.round != null) parts.push(t("stage.round", { n: stage.round }));
+  if (stage.leg) parts.push(t("stage.leg" + stage.leg));
+  if (stage.aggregate) parts.push(t("stage.aggregate", stage.aggregate));
+  if (stage.goldenSet) parts.push(t("stage.goldenSet"));
 
-  if (!rawStage) return null;
+  return parts.join(" · ");
+}
 
-  const s = rawStage.toLowerCase();
+function deriveStageLabel(ev) {
+  return stageLabel(ev.stage);
+}
 
-  if (s.includes("final") && !s.includes("semi") && !s.includes("quarter") && !s.includes("eighth")) {
-    return "Finale";
-  }
-  if (s.includes("semi")) {
-    return "Semifinale";
-  }
-  if (s.includes("quarter")) {
-    return "Kvartfinale";
-  }
-  if (s.includes("eighth")) {
-    return "Åttendedelsfinale";
-  }
-  if (s.includes("playoff") || s.includes("play-offs")) {
-    return "Sluttspill";
-  }
-  if (s.includes("regular")) {
-    return "Seriespill";
+/* ===========================
+   Avledet per kamp (cache)
+   =========================== */
+
+/*
+  Gruppe, land, liganivå og fase for hver kamp, til kortene, tellingen og
+  filtrene. Regnes ut én gang per ev.key og ev.hash (se normalizeEvent) og
+  gjenbrukes til raden endres; ny lagtabell eller nytt språk gir ny cache.
+
+  cache  { teamsBySofaId, locale, byKey: Map(ev.key -> derived) }
+*/
+function deriveEvent(ev, teamsBySofaId) {
+  return {
+    hash: ev.hash,
+    group: classifyEventGroup(ev, teamsBySofaId),
+    countryLabel: deriveCountryLabel(ev, teamsBySofaId),
+    leagueLevel: deriveLeagueLevel(ev, teamsBySofaId),
+    stageText: deriveStageLabel(ev),
+  };
+}
+
+// Ny cache med kampene i events; uendrede kamper hentes fra prev
+function deriveEvents(prev, events, teamsBySofaId, locale) {
+  const reuse = !!prev && prev.teamsBySofaId === teamsBySofaId && prev.locale === locale;
+  const byKey = new Map();
+  for (let i = 0; i < events.length; i++) {
+    const ev = events[i];
+    const hit = reuse ? prev.byKey.get(ev.key) : null;
+    byKey.set(ev.key, hit && hit.hash === ev.hash ? hit : deriveEvent(ev, teamsBySofaId));
   }
+  return { teamsBySofaId: teamsBySofaId, locale: locale, byKey: byKey };
+}
 
-  return rawStage;
+function useDerivedEvents(events, teamsBySofaId, locale) {
+  const cacheRef = useRef(null);
+  return useMemo(() => {
+    cacheRef.current = deriveEvents(cacheRef.current, events, teamsBySofaId, locale);
+    return cacheRef.current.byKey;
+  }, [events, teamsBySofaId, locale]);
 }
 
+// Kamper som er helt like som i forrige oppdatering (samme hash) beholder
+// objektet, så kortene og serve-tilstanden kan hoppe over dem
+function reuseUnchanged(seen, nextEvents) {
+  if (!seen) return nextEvents;
+  return nextEvents.map(ev => {
+    const prev = seen.get(ev.key);
+    return prev && prev.hash === ev.hash ? prev : ev;
+  });
+}
+
+// Faste tomverdier, så kortene får samme prop når det ikke er noe å vise
+const NO_FLASH = {};
+const NO_PLAYERS = [];
+const NO_POINTS = [];
+
 /* ===========================
    Player avatar (norske spillere)
    =========================== */
 
-const PlayerAvatar = memo(function PlayerAvatar({ player }) {
+// Klikk åpner spillerprofilen (size brukes av profilen selv)
+const PlayerAvatar = memo(function PlayerAvatar({ player, size = 28 }) {
   const src = playerPhotoUrl(player.id);
   const status = useImageStatus(src);
   const name = player.name || "–";
+  const showPhoto = !!src && status === "ok";
 
-  if (!src || status === "fail" || status === "none" || status === "loading") {
-    return (
-      <span
-        className="playerAvatar"
-        title={name}
-        style={{
-          width: 28,
-          height: 28,
-          borderRadius: "9999px",
-          overflow: "hidden",
-          border: "2px solid #e5e7eb",
-          display: "inline-flex",
-          alignItems: "center",
-          justifyContent: "center",
-          background: "#f9fafb",
-          fontSize: 11,
-          fontWeight: 700,
-        }}
-      >
-        {initials(name)}
-      </span>
-    );
+  function onClick(e) {
+    e.stopPropagation();
+    openPlayerProfile(player.id);
   }
 
+  // <button>, så profilen også kan åpnes med tastaturet (Tab + Enter/mellomrom)
   return (
-    <span
+    <button
+      type="button"
       className="playerAvatar"
       title={name}
+      onClick={onClick}
       style={{
-        width: 28,
-        height: 28,
+        width: size,
+        height: size,
+        padding: 0,
         borderRadius: "9999px",
         overflow: "hidden",
         border: "2px solid #e5e7eb",
@@ -663,15 +952,291 @@ const PlayerAvatar = memo(function PlayerAvatar({ player }) {
         alignItems: "center",
         justifyContent: "center",
         background: "#f9fafb",
+        color: "inherit",
+        fontFamily: "inherit",
+        fontSize: Math.round(size * 0.4),
+        fontWeight: 700,
+        cursor: "pointer",
+        flex: "0 0 auto",
       }}
     >
-      <img
-        src={src}
-        alt={name}
-        loading="lazy"
-        style={{ width: "100%", height: "100%", objectFit: "cover" }}
-      />
-    </span>
+      {showPhoto ? (
+        <img
+          src={src}
+          alt={name}
+          loading="lazy"
+          style={{ width: "100%", height: "100%", objectFit: "cover" }}
+        />
+      ) : (
+        initials(name)
+      )}
+    </button>
+  );
+});
+
+/* ===========================
+   Serve (følges mellom oppdateringer)
+   =========================== */
+
+// Stillingen i settet og backendens run i formen nextServeState (rules.js) vil ha
+function serveSnapshot(ev) {
+  const cur = currentPoints(ev);
+  return {
+    setNo: cur.setNo,
+    home: cur.home ?? 0,
+    away: cur.away ?? 0,
+    runHome: ev.homeRun,
+    runAway: ev.awayRun,
+    firstToServe: ev.firstToServe,
+  };
+}
+
+function advanceServe(prev, ev) {
+  return nextServeState(prev || null, serveSnapshot(ev), ev.format);
+}
+
+// Det EventCard trenger; null når vi ikke vet hvem som server
+function serveInfoFor(state, ev) {
+  if (!state || !state.server || state.confidence === "low") return null;
+
+  const rotations = state.rotations[state.server];
+  return {
+    side: state.server,
+    run: state.run,
+    confidence: state.confidence,
+    // Rotasjon 1 er startoppstillingen; bare innendørs og når hvert poeng er fulgt
+    rotation: state.exact && !ev.format.pairs ? (rotations % 6) + 1 : null,
+  };
+}
+
+// Samme serve-tilstand gir samme objekt, så kortet ikke rendres på nytt for det
+const serveInfoCache = new WeakMap();
+
+function cachedServeInfo(state, ev) {
+  if (!state) return null;
+  if (!serveInfoCache.has(state)) serveInfoCache.set(state, serveInfoFor(state, ev));
+  return serveInfoCache.get(state);
+}
+
+/* ===========================
+   Tidslinje (poeng for poeng)
+   =========================== */
+
+const TIMELINE_MAX = 400;
+
+// Ett element per poeng: stillingen i settet ETTER poenget og hvem som scoret.
+// side === null er et utgangspunkt (første gang vi ser kampen, eller en
+// korrigering fra backend) og teller ikke som poeng. approx betyr at begge lag
+// scoret mellom to oppdateringer, så rekkefølgen er gjettet.
+function appendTimeline(points, ev) {
+  const cur = currentPoints(ev);
+  if (!cur.setNo) return points;
+
+  const ts = Date.now();
+  const last = points.length ? points[points.length - 1] : null;
+
+  if (!last || cur.setNo < last.set) {
+    return [{ set: cur.setNo, home: cur.home ?? 0, away: cur.away ?? 0, side: null, ts: ts }];
+  }
+
+  const added = [];
+
+  for (let s = last.set; s <= cur.setNo; s++) {
+    const h = ev.sets[s - 1] ? ev.sets[s - 1].home : 0;
+    const a = ev.sets[s - 1] ? ev.sets[s - 1].away : 0;
+    const prevH = s === last.set ? last.home : 0;
+    const prevA = s === last.set ? last.away : 0;
+
+    if (h < prevH || a < prevA) {
+      added.push({ set: s, home: h, away: a, side: null, ts: ts });
+      continue;
+    }
+
+    // Den som scoret sist (ifølge run i inneværende sett) legges sist
+    const lastSide =
+      s === cur.setNo && ev.awayRun > 0 ? "away" : "home";
+    const firstSide = lastSide === "home" ? "away" : "home";
+    const approx = h > prevH && a > prevA;
+
+    let sh = prevH;
+    let sa = prevA;
+    const steps = [
+      [firstSide, firstSide === "home" ? h - prevH : a - prevA],
+      [lastSide, lastSide === "home" ? h - prevH : a - prevA],
+    ];
+    for (const [side, n] of steps) {
+      for (let k = 0; k < n; k++) {
+        if (side === "home") sh++;
+        else sa++;
+        added.push({ set: s, home: sh, away: sa, side: side, ts: ts, approx: approx });
+      }
+    }
+  }
+
+  if (added.length === 0) return points;
+
+  const next = points.concat(added);
+  return next.length > TIMELINE_MAX ? next.slice(next.length - TIMELINE_MAX) : next;
+}
+
+/* ===========================
+   Momentum-graf
+   =========================== */
+
+const MomentumChart = memo(function MomentumChart({ points, homeName, awayName }) {
+  useLocale();
+  const scored = (points || []).filter(p => p.side);
+  if (scored.length < 2) return null;
+
+  const W = 600;
+  const H = 120;
+  const MID = H / 2;
+
+  let maxLead = 4;
+  for (const p of points) maxLead = Math.max(maxLead, Math.abs(p.home - p.away));
+
+  const stepX = W / Math.max(points.length - 1, 1);
+  const y = (lead) => MID - (lead / maxLead) * (MID - 6);
+
+  // Én sti per sett; hvert sett starter på 0 i skillet mot forrige
+  const segments = [];
+  for (let i = 0; i < points.length; i++) {
+    const p = points[i];
+    let seg = segments[segments.length - 1];
+    if (!seg || seg.set !== p.set) {
+      const startX = i === 0 ? 0 : (i - 1) * stepX;
+      seg = { set: p.set, startX: startX, coords: i === 0 ? [] : [[startX, MID]] };
+      segments.push(seg);
+    }
+    seg.coords.push([i * stepX, y(p.home - p.away)]);
+  }
+
+  return (
+    <div className="momentum">
+      <div className="momentumLegend">
+        <span className="home">▲ {homeName}</span>
+        <span>{t("momentum.title")}</span>
+        <span className="away">▼ {awayName}</span>
+      </div>
+      <div className="momentumPlot">
+        <svg viewBox={"0 0 " + W + " " + H} preserveAspectRatio="none" role="img" aria-label={t("momentum.aria")}>
+          <line className="axis" x1="0" y1={MID} x2={W} y2={MID} />
+          {segments.map((seg, i) => {
+            const d = seg.coords.map((c, j) => (j ? "L" : "M") + c[0].toFixed(1) + " " + c[1].toFixed(1)).join(" ");
+            const endX = seg.coords[seg.coords.length - 1][0];
+            return (
+              <g key={seg.set + "-" + i}>
+                {i > 0 && <line className="setSep" x1={seg.startX} y1="0" x2={seg.startX} y2={H} />}
+                <path className="area" d={d + " L" + endX.toFixed(1) + " " + MID + " L" + seg.startX.toFixed(1) + " " + MID + " Z"} />
+                <path className="worm" d={d} />
+              </g>
+            );
+          })}
+        </svg>
+        {segments.map((seg, i) => (
+          <span
+            key={seg.set + "-" + i}
+            className="setTag"
+            style={{ left: (seg.startX / W * 100) + "%" }}
+          >
+            {t("set.n", { n: seg.set })}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+});
+
+/* ===========================
+   Statistikk (fokus)
+   =========================== */
+
+function formatPct(value) {
+  return value == null ? "–" : formatNumber(value, { style: "percent", maximumFractionDigits: 0 });
+}
+
+// Poeng per sett fra kampdata (alltid komplett); resten regnes av matchStats
+// (stats.js) fra tidslinjen, så det dekker bare poengene vi har sett
+const StatsPanel = memo(function StatsPanel({ ev, points, firstServer }) {
+  useLocale();
+  const [selected, setSelected] = useState(null);
+
+  const sets = ev.sets;
+  const playedSets = [];
+  for (let i = 0; i < sets.length; i++) {
+    if (sets[i]) playedSets.push(i + 1);
+  }
+  const setNo = playedSets.includes(selected) ? selected : null;
+
+  const stats = useMemo(
+    () => matchStats(points, { set: setNo, firstServer: firstServer }),
+    [points, setNo, firstServer]
+  );
+
+  if (playedSets.length === 0) return null;
+
+  let pointsHome = 0;
+  let pointsAway = 0;
+  for (let i = 0; i < sets.length; i++) {
+    if (!sets[i] || (setNo != null && setNo !== i + 1)) continue;
+    pointsHome += sets[i].home;
+    pointsAway += sets[i].away;
+  }
+
+  const rows = [
+    [t("stats.points"), pointsHome, pointsAway],
+    [t("stats.longestRun"), stats.home.longestRun, stats.away.longestRun],
+    [t("stats.sideOut"), formatPct(stats.home.sideOutPct), formatPct(stats.away.sideOutPct)],
+    [t("stats.breakPoint"), formatPct(stats.home.breakPointPct), formatPct(stats.away.breakPointPct)],
+    [t("stats.biggestLead"), stats.home.biggestLead, stats.away.biggestLead],
+    [t("stats.comebacks"), stats.home.comebacks, stats.away.comebacks],
+  ];
+
+  return (
+    <div className="statsPanel" onClick={(e) => e.stopPropagation()}>
+      <div className="statsTabs">
+        <button
+          type="button"
+          className={"btn" + (setNo == null ? " primary" : "")}
+          onClick={() => setSelected(null)}
+        >
+          {t("stats.match")}
+        </button>
+        {playedSets.map(n => (
+          <button
+            key={n}
+            type="button"
+            className={"btn" + (setNo === n ? " primary" : "")}
+            onClick={() => setSelected(n)}
+          >
+            {t("set.n", { n: n })}
+          </button>
+        ))}
+      </div>
+
+      <table className="statsTable">
+        <thead>
+          <tr>
+            <th className="home">{ev.homeName}</th>
+            <th />
+            <th className="away">{ev.awayName}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(([label, home, away]) => (
+            <tr key={label}>
+              <td className="home">{home}</td>
+              <th scope="row">{label}</th>
+              <td className="away">{away}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div className="statsNote">
+        {stats.tracked > 0 ? t("stats.tracked", { n: stats.tracked }) : t("stats.none")}
+      </div>
+    </div>
   );
 });
 
@@ -679,7 +1244,9 @@ const PlayerAvatar = memo(function PlayerAvatar({ player }) {
    EventCard
    =========================== */
 
-function EventCard(props) {
+// memo: App gir samme props til kort som ikke er endret (se "Avledet per kamp")
+const EventCard = memo(function EventCard(props) {
+  useLocale();
   const {
     ev,
     flashInfo,
@@ -692,25 +1259,41 @@ function EventCard(props) {
     norPlayersAway = [],
     countryLabel,
     leagueLevel,
-    stageLabel,
+    stageText,
+    timeline,
+    firstServer,
+    isFavourite,
+    starredTeamIds,
+    favouritePlayerIds,
+    onToggleTeam,
+    onTogglePlayer,
+    notifyEnabled,
+    isFollowed,
+    onToggleFollow,
   } = props;
 
-  const label = liveLabel(ev.status_type);
+  const label = statusText(ev.statusType);
+  const format = ev.format;
   const p = currentPoints(ev);
 
-  const setsHome = (ev.home_sets ?? 0);
-  const setsAway = (ev.away_sets ?? 0);
+  const setsHome = (ev.homeSets ?? 0);
+  const setsAway = (ev.awaySets ?? 0);
 
-  const currentSetText = p.setNo ? (String(p.setNo) + ". sett") : (ev.status_desc || "Pågår");
+  const state = matchState(ev.sets, format);
+  const pressure = isLiveStatus(ev.statusType) ? pressureLabel(state, ev) : null;
 
-  const homeId = getHomeId(ev);
-  const awayId = getAwayId(ev);
+  const currentSetText =
+    state.isTieBreak ? t("card.tieBreak") :
+    p.setNo ? t("set.n", { n: p.setNo }) : (ev.statusDesc || t("card.inProgress"));
+
+  const homeId = ev.homeId;
+  const awayId = ev.awayId;
 
   const homeLogo = teamLogoUrl(homeId);
   const awayLogo = teamLogoUrl(awayId);
 
-  const runHome = Number(ev.home_point_run ?? 0);
-  const runAway = Number(ev.away_point_run ?? 0);
+  const runHome = ev.homeRun;
+  const runAway = ev.awayRun;
 
   const isServingHome = serveInfo && serveInfo.side === "home";
   const isServingAway = serveInfo && serveInfo.side === "away";
@@ -731,42 +1314,38 @@ function EventCard(props) {
     flashInfo && flashInfo.home ? "home" :
     (flashInfo && flashInfo.away ? "away" : null);
 
-  const cls = "card" + (isFocused ? " focused" : "");
+  const cls = "card" + (isFocused ? " focused" : "") + (isFavourite ? " favourite" : "");
 
   let playText = null;
   if (playLabelInfo && playLabelInfo.type === "break-point") {
-    playText = "Break-point";
+    playText = t("card.breakPoint");
   } else if (playLabelInfo && playLabelInfo.type === "side-out") {
-    playText = "Side-out";
+    playText = t("card.sideOut");
   }
 
-  const { tournament, season } = getTournamentAndSeason(ev);
-
   const headerNode = (
     <>
-      {tournament}
-      {season && <span style={{ fontWeight: 500 }}> · {season}</span>}
+      {ev.tournament}
+      {ev.season && <span style={{ fontWeight: 500 }}> · {ev.season}</span>}
     </>
   );
 
   const subParts = [];
   if (countryLabel) subParts.push(countryLabel);
   if (leagueLevel) subParts.push(leagueLevel);
-  if (stageLabel) subParts.push(stageLabel);
-  if (ev.group_type) subParts.push(String(ev.group_type));
+  if (stageText) subParts.push(stageText);
   const subText = subParts.join(" · ");
 
   const setBoxes = [];
-  for (let i = 1; i <= 5; i++) {
-    const h = ev["home_p" + i];
-    const a = ev["away_p" + i];
-    if (h == null && a == null) continue;
+  for (let i = 1; i <= ev.sets.length; i++) {
+    const set = ev.sets[i - 1];
+    if (!set) continue;
     setBoxes.push(
       <SetBox
         key={i}
-        label={i + ". sett"}
-        home={h}
-        away={a}
+        label={t("set.n", { n: i })}
+        home={set.home}
+        away={set.away}
         highlight={p.setNo === i}
       />
     );
@@ -775,7 +1354,7 @@ function EventCard(props) {
   const showNorwegians = isFocused && isAbroadGroup;
 
   return (
-    <div className={cls} onClick={onClick} role="button">
+    <div className={cls} onClick={onClick ? () => onClick(ev) : undefined} role="button">
       <div className="cardHeader">
         <div>
           <div className="compTitle">
@@ -784,14 +1363,31 @@ function EventCard(props) {
           {subText && <div className="sub">{subText}</div>}
         </div>
 
-        <div className="status" title={ev.status_desc || ""}>
-          <span
-            className={
-              statusDot(ev.status_type) +
-              (scoredSide ? " blinkScore" : "")
-            }
-          ></span>
-          {label + (ev.status_desc ? " · " + String(ev.status_desc) : "")}
+        <div className="cardActions">
+          {notifyEnabled && (
+            <button
+              type="button"
+              className={"bellBtn" + (isFollowed ? " active" : "")}
+              aria-pressed={isFollowed}
+              title={t(isFollowed ? "card.unfollow" : "card.follow")}
+              onClick={(e) => {
+                e.stopPropagation();
+                onToggleFollow(ev);
+              }}
+            >
+              {isFollowed ? "🔔" : "🔕"}
+            </button>
+          )}
+
+          <div className="status" title={ev.statusDesc || ""}>
+            <span
+              className={
+                statusDot(ev.statusType) +
+                (scoredSide ? " blinkScore" : "")
+              }
+            ></span>
+            {label + (ev.statusDesc ? " · " + String(ev.statusDesc) : "")}
+          </div>
         </div>
       </div>
 
@@ -808,16 +1404,33 @@ function EventCard(props) {
               }}
             >
               {norPlayersHome.map(p => (
-                <PlayerAvatar
-                  key={p.id}
-                  player={p}
-                />
+                <span key={p.id} className="playerChip">
+                  <PlayerAvatar player={p} />
+                  <StarButton
+                    active={favouritePlayerIds.has(p.id)}
+                    onToggle={() => onTogglePlayer(p.id)}
+                    label={p.name}
+                  />
+                </span>
               ))}
             </div>
           )}
 
-          <LogoBox src={homeLogo} />
-          <span className="teamName">{ev.home_team_name}</span>
+          {format.pairs ? (
+            <PairNames names={pairNames(ev, "home")} />
+          ) : (
+            <>
+              <LogoBox src={homeLogo} />
+              <span className="teamName">{ev.homeName}</span>
+            </>
+          )}
+          {homeId != null && (
+            <StarButton
+              active={starredTeamIds.has(homeId)}
+              onToggle={() => onToggleTeam(homeId)}
+              label={ev.homeName}
+            />
+          )}
         </div>
 
         <div className="bigScore">
@@ -833,6 +1446,7 @@ function EventCard(props) {
                     side="home"
                     hot={flameHome}
                     highlight={hotHome}
+                    confidence={serveInfo.confidence}
                   />
                 )}
               </span>
@@ -851,74 +1465,896 @@ function EventCard(props) {
                     side="away"
                     hot={flameAway}
                     highlight={hotAway}
+                    confidence={serveInfo.confidence}
                   />
                 )}
               </span>
             </span>
           </div>
 
-          <div className="points">
-            {setsHome} - {setsAway} i sett
-            {p.setNo ? (" · " + currentSetText) : ""}
-          </div>
+          <div className="points">
+            {t("card.sets", { home: setsHome, away: setsAway })}
+            {p.setNo ? (" · " + currentSetText) : ""}
+          </div>
+
+          {isFocused && (isServingHome || isServingAway) && (
+            <div className="serveInfoRow">
+              <div>
+                {serveInfo.rotation
+                  ? t("card.serveRotation", {
+                      team: isServingHome ? ev.homeName : ev.awayName,
+                      n: serveInfo.rotation,
+                    })
+                  : t("card.serve", { team: isServingHome ? ev.homeName : ev.awayName })}
+              </div>
+              {playText && (
+                <div
+                  className={
+                    "playLabel " +
+                    (playLabelInfo.type === "break-point" ? "break-point" : "side-out")
+                  }
+                >
+                  {playText}
+                </div>
+              )}
+            </div>
+          )}
+
+          {pressure && (
+            <div className="serveInfoRow">
+              <div className={"playLabel " + pressure.type}>{pressure.text}</div>
+            </div>
+          )}
+        </div>
+
+        <div className="team right">
+          {showNorwegians && norPlayersAway.length > 0 && (
+            <div
+              className="norPlayersRow"
+              style={{
+                display: "flex",
+                gap: 4,
+                marginBottom: 4,
+                justifyContent: "flex-end",
+                flexWrap: "wrap",
+              }}
+            >
+              {norPlayersAway.map(p => (
+                <span key={p.id} className="playerChip">
+                  <PlayerAvatar player={p} />
+                  <StarButton
+                    active={favouritePlayerIds.has(p.id)}
+                    onToggle={() => onTogglePlayer(p.id)}
+                    label={p.name}
+                  />
+                </span>
+              ))}
+            </div>
+          )}
+
+          {format.pairs ? (
+            <PairNames names={pairNames(ev, "away")} />
+          ) : (
+            <>
+              <LogoBox src={awayLogo} />
+              <span className="teamName">{ev.awayName}</span>
+            </>
+          )}
+          {awayId != null && (
+            <StarButton
+              active={starredTeamIds.has(awayId)}
+              onToggle={() => onToggleTeam(awayId)}
+              label={ev.awayName}
+            />
+          )}
+        </div>
+      </div>
+
+      {isFocused && setBoxes.length > 0 && (
+        <div
+          className="setRow"
+          style={{
+            display: "flex",
+            gap: 8,
+            marginTop: 8,
+            flexWrap: "wrap",
+          }}
+        >
+          {setBoxes}
+        </div>
+      )}
+
+      {isFocused && (
+        <MomentumChart
+          points={timeline}
+          homeName={ev.homeName}
+          awayName={ev.awayName}
+        />
+      )}
+
+      {isFocused && (
+        <StatsPanel
+          ev={ev}
+          points={timeline}
+          firstServer={firstServer}
+        />
+      )}
+    </div>
+  );
+});
+
+/* ===========================
+   Poeng-signaler (blink + side-out/break-point)
+   =========================== */
+
+function scoreSignals(evs) {
+  const flash = {};
+  const playLabel = {};
+  const now = Date.now();
+
+  for (let i = 0; i < evs.length; i++) {
+    const ev = evs[i];
+    const key = ev.key;
+
+    const runHome = ev.homeRun;
+    const runAway = ev.awayRun;
+
+    let serveSide = null;
+    if (runHome > 0 && runAway === 0) {
+      serveSide = "home";
+    } else if (runAway > 0 && runHome === 0) {
+      serveSide = "away";
+    }
+
+    if (ev.newScore && serveSide) {
+      // Blink kun når det faktisk er NYTT poeng
+      flash[key] = {};
+      flash[key][serveSide] = now + Math.random();
+
+      const run = (serveSide === "home") ? runHome : runAway;
+      let labelType = "side-out";
+      if (run >= 2) {
+        labelType = "break-point";
+      }
+
+      playLabel[key] = {
+        side: serveSide,
+        type: labelType,
+      };
+    }
+  }
+
+  return { flash, playLabel };
+}
+
+function withKey(obj, key, value) {
+  const next = { ...obj };
+  if (value === undefined) delete next[key];
+  else next[key] = value;
+  return next;
+}
+
+/* ===========================
+   Varsler (Web Notifications)
+   =========================== */
+
+const NOTIFY_KEY = "volley.notify";
+const NOTIFY_FOLLOW_KEY = "volley.follow";
+const NOTIFY_FOLLOW_MAX = 100;
+const NOTIFY_MAX_PER_MINUTE = 6;
+const NOTIFY_MATCH_GAP_MS = 30000;
+// Svar på rad (ca. ett minutt med polling) en kamp kan mangle og fortsatt
+// regnes som kjent, se keepMissing
+const NOTIFY_MISSING_MAX = 12;
+
+// Tekst: notify.type.<key> i i18n.js
+const NOTIFY_TYPES = ["start", "set", "tiebreak", "matchpoint", "final"];
+
+const NOTIFY_DEFAULTS = {
+  enabled: false,
+  favourites: true,     // følg favorittkamper automatisk
+  vibrate: false,
+  whenVisible: false,   // også når siden er åpen i forgrunnen
+  types: { start: true, set: true, tiebreak: true, matchpoint: true, final: true },
+};
+
+function notificationsSupported() {
+  return typeof window.Notification === "function";
+}
+
+function loadStored(key, fallback) {
+  try {
+    const raw = JSON.parse(localStorage.getItem(key) || "null");
+    return raw && typeof raw === "object" ? raw : fallback;
+  } catch (e) {
+    return fallback;
+  }
+}
+
+function loadNotifySettings() {
+  const raw = loadStored(NOTIFY_KEY, {});
+  return {
+    ...NOTIFY_DEFAULTS,
+    ...raw,
+    types: { ...NOTIFY_DEFAULTS.types, ...(raw.types || {}) },
+  };
+}
+
+function setScoresText(ev) {
+  return ev.sets
+    .filter(Boolean)
+    .map(x => x.home + "-" + x.away)
+    .join(", ");
+}
+
+// Hva skjedde mellom to versjoner av samme kamp? prev === null betyr at
+// kampen er ny i lista siden forrige oppdatering.
+function matchEventsBetween(prev, next) {
+  const out = [];
+
+  const teamName = (side) => side === "home" ? next.homeName : next.awayName;
+
+  const wasLive = !!prev && isLiveStatus(prev.statusType);
+  if (!wasLive && isLiveStatus(next.statusType)) {
+    out.push({ type: "start", text: t("notify.started") });
+  }
+  if (!prev) return out;
+
+  const format = next.format;
+  const a = matchState(prev.sets, format);
+  const b = matchState(next.sets, format);
+
+  const wasOver = !!a.winner || liveLabel(prev.statusType) === "SLUTT";
+  const isOver = !!b.winner || liveLabel(next.statusType) === "SLUTT";
+  if (isOver) {
+    if (!wasOver) {
+      out.push({
+        type: "final",
+        text: t("notify.final", { sets: b.setsHome + "-" + b.setsAway, scores: setScoresText(next) }),
+      });
+    }
+    return out;
+  }
+
+  if (b.setsHome + b.setsAway > a.setsHome + a.setsAway && a.setNo) {
+    const side = b.setsHome > a.setsHome ? "home" : "away";
+    const done = next.sets[a.setNo - 1];
+    out.push({
+      type: "set",
+      text: t("notify.setWon", {
+        team: teamName(side),
+        n: a.setNo,
+        score: done ? done.home + "-" + done.away : "—",
+        sets: b.setsHome + "-" + b.setsAway,
+      }),
+    });
+  }
+
+  if (b.isTieBreak && !a.isTieBreak) {
+    out.push({ type: "tiebreak", text: t("notify.tiebreak") });
+  }
+
+  if (b.matchPoint && b.matchPoint !== a.matchPoint) {
+    const cp = currentPoints(next);
+    out.push({
+      type: "matchpoint",
+      text: t("notify.matchpoint", { team: teamName(b.matchPoint), score: (cp.home ?? 0) + "-" + (cp.away ?? 0) }),
+    });
+  }
+
+  return out;
+}
+
+// Maks NOTIFY_MAX_PER_MINUTE totalt og ett varsel per kamp per
+// NOTIFY_MATCH_GAP_MS. Sluttresultat slipper alltid gjennom.
+function allowNotification(log, key, isFinal, now) {
+  log.recent = log.recent.filter(sentAt => now - sentAt < 60000);
+  if (!isFinal) {
+    if (log.recent.length >= NOTIFY_MAX_PER_MINUTE) return false;
+    if (now - (log.byKey[key] || 0) < NOTIFY_MATCH_GAP_MS) return false;
+  }
+  log.recent.push(now);
+  log.byKey[key] = now;
+  return true;
+}
+
+/*
+  Kamper som mangler i et svar beholdes i nextSeen en stund. /live beholder
+  ferdige kamper (SLUTT), så en kamp som forsvinner er et delvis svar eller en
+  feil hos backend, ikke et resultat. Kommer den tilbake, sammenlignes den med
+  siste versjon i stedet for å regnes som ny (og gi et nytt "start"-varsel).
+  Etter NOTIFY_MISSING_MAX svar på rad uten kampen glemmes den.
+
+  misses  Map(ev.key -> antall svar på rad uten kampen), oppdateres her
+*/
+function keepMissing(seen, nextSeen, misses) {
+  for (const [key, last] of seen) {
+    if (nextSeen.has(key)) {
+      misses.delete(key);
+      continue;
+    }
+    const n = (misses.get(key) || 0) + 1;
+    if (n > NOTIFY_MISSING_MAX) {
+      misses.delete(key);
+      continue;
+    }
+    misses.set(key, n);
+    nextSeen.set(key, last);
+  }
+}
+
+async function showMatchNotification(title, body, key, vibrate) {
+  const options = { body: body, tag: "volley-" + key, renotify: true };
+
+  if (vibrate && navigator.vibrate) navigator.vibrate([200, 100, 200]);
+
+  try {
+    // Mobil-Chrome tillater bare varsler via service worker
+    const reg = navigator.serviceWorker && await navigator.serviceWorker.getRegistration();
+    if (reg) {
+      await reg.showNotification(title, options);
+      return;
+    }
+    new Notification(title, options);
+  } catch (e) {
+    console.warn("Varsel feilet:", e);
+  }
+}
+
+function useMatchNotifications(isFavouriteEvent) {
+  const [settings, setSettings] = useState(loadNotifySettings);
+  // ev.key -> true/false. Mangler nøkkelen gjelder favoritt-innstillingen.
+  const [follow, setFollow] = useState(() => loadStored(NOTIFY_FOLLOW_KEY, {}));
+  const [permission, setPermission] = useState(
+    notificationsSupported() ? Notification.permission : "unsupported"
+  );
+
+  const latestRef = useRef(null);
+  latestRef.current = { settings, follow, isFavouriteEvent };
+  const logRef = useRef({ recent: [], byKey: {} });
+
+  useEffect(() => {
+    try {
+      localStorage.setItem(NOTIFY_KEY, JSON.stringify(settings));
+    } catch (e) {}
+  }, [settings]);
+
+  useEffect(() => {
+    try {
+      localStorage.setItem(NOTIFY_FOLLOW_KEY, JSON.stringify(follow));
+    } catch (e) {}
+  }, [follow]);
+
+  const isFollowed = useCallback((ev) => {
+    const explicit = follow[ev.key];
+    if (explicit != null) return explicit;
+    return settings.favourites && isFavouriteEvent(ev);
+  }, [follow, settings.favourites, isFavouriteEvent]);
+
+  const toggleFollow = useCallback((ev) => {
+    const key = ev.key;
+    const on = !isFollowed(ev);
+    setFollow(prev => {
+      const next = { ...prev, [key]: on };
+      const keys = Object.keys(next);
+      // Eldste først ut; nøklene er kamper som for lengst er ferdige
+      for (let i = 0; i < keys.length - NOTIFY_FOLLOW_MAX; i++) delete next[keys[i]];
+      return next;
+    });
+  }, [isFollowed]);
+
+  const enable = useCallback(async () => {
+    if (!notificationsSupported()) return;
+    let perm = Notification.permission;
+    if (perm === "default") perm = await Notification.requestPermission();
+    setPermission(perm);
+    setSettings(prev => ({ ...prev, enabled: perm === "granted" }));
+  }, []);
+
+  // Kalles for hver kamp som har endret seg (prev === null: ny i lista)
+  const handleChange = useCallback((prev, next) => {
+    const { settings, follow, isFavouriteEvent } = latestRef.current;
+    if (!settings.enabled || !notificationsSupported() || Notification.permission !== "granted") return;
+    if (!settings.whenVisible && document.visibilityState === "visible") return;
+
+    const key = next.key;
+    const explicit = follow[key];
+    const followed = explicit != null ? explicit : (settings.favourites && isFavouriteEvent(next));
+    if (!followed) return;
+
+    const items = matchEventsBetween(prev, next).filter(x => settings.types[x.type]);
+    if (items.length === 0) return;
+
+    const isFinal = items.some(x => x.type === "final");
+    if (!allowNotification(logRef.current, key, isFinal, Date.now())) return;
+
+    showMatchNotification(
+      next.homeName + " – " + next.awayName,
+      items.map(x => x.text).join(" · "),
+      key,
+      settings.vibrate
+    );
+  }, []);
+
+  return { settings, setSettings, permission, enable, isFollowed, toggleFollow, handleChange };
+}
+
+function NotifyPanel({ notifications }) {
+  const { settings, setSettings, permission, enable } = notifications;
+
+  function setFlag(name, value) {
+    setSettings(prev => ({ ...prev, [name]: value }));
+  }
+
+  function setType(type, value) {
+    setSettings(prev => ({ ...prev, types: { ...prev.types, [type]: value } }));
+  }
+
+  if (permission === "unsupported") {
+    return <div className="card notifyPanel">{t("notify.unsupported")}</div>;
+  }
+
+  return (
+    <div className="card notifyPanel">
+      {permission === "denied" && (
+        <div className="focusInfo">{t("notify.denied")}</div>
+      )}
+
+      {permission !== "denied" && (
+        <label className="notifyRow">
+          <input
+            type="checkbox"
+            checked={settings.enabled && permission === "granted"}
+            onChange={(e) => (e.target.checked ? enable() : setFlag("enabled", false))}
+          />
+          {t("notify.enable")}
+        </label>
+      )}
+
+      <div className="focusInfo">
+        {t("notify.help")}
+      </div>
+
+      <div className="notifyTypes">
+        {NOTIFY_TYPES.map(type => (
+          <label key={type} className="notifyRow">
+            <input
+              type="checkbox"
+              checked={!!settings.types[type]}
+              onChange={(e) => setType(type, e.target.checked)}
+            />
+            {t("notify.type." + type)}
+          </label>
+        ))}
+      </div>
+
+      <label className="notifyRow">
+        <input type="checkbox" checked={settings.favourites} onChange={(e) => setFlag("favourites", e.target.checked)} />
+        {t("notify.favourites")}
+      </label>
+      <label className="notifyRow">
+        <input type="checkbox" checked={settings.vibrate} onChange={(e) => setFlag("vibrate", e.target.checked)} />
+        {t("notify.vibrate")}
+      </label>
+      <label className="notifyRow">
+        <input type="checkbox" checked={settings.whenVisible} onChange={(e) => setFlag("whenVisible", e.target.checked)} />
+        {t("notify.whenVisible")}
+      </label>
+    </div>
+  );
+}
+
+/* ===========================
+   Program / resultater
+   =========================== */
+
+// Tekst: view.<key> i i18n.js
+const VIEWS = ["live", "upcoming", "results"];
+
+function dayKey(date) {
+  const y = date.getFullYear();
+  const m = String(date.getMonth() + 1).padStart(2, "0");
+  const d = String(date.getDate()).padStart(2, "0");
+  return y + "-" + m + "-" + d;
+}
+
+function shiftDay(key, delta) {
+  const d = new Date(key + "T00:00:00");
+  d.setDate(d.getDate() + delta);
+  return dayKey(d);
+}
+
+// startTs er sekunder (Sofascore startTimestamp)
+function eventDate(ev) {
+  return ev.startTs == null ? null : new Date(ev.startTs * 1000);
+}
+
+function formatDay(key) {
+  const today = dayKey(new Date());
+  if (key === today) return t("day.today");
+  if (key === shiftDay(today, -1)) return t("day.yesterday");
+  if (key === shiftDay(today, 1)) return t("day.tomorrow");
+  return formatDate(new Date(key + "T00:00:00"), {
+    weekday: "long",
+    day: "numeric",
+    month: "short",
+  });
+}
+
+function FixtureRow({ ev, kind, isFavourite, showDate }) {
+  const format = ev.format;
+  const stageText = deriveStageLabel(ev);
+
+  const d = eventDate(ev);
+  const time = d ? formatTime(d) : "—";
+  const date = d && showDate ? formatDay(dayKey(d)) : null;
+
+  const isResult = kind === "results";
+  const state = isResult ? matchState(ev.sets, format) : null;
+  const setsHome = isResult ? (ev.homeSets ?? state.setsHome) : null;
+  const setsAway = isResult ? (ev.awaySets ?? state.setsAway) : null;
+
+  return (
+    <div className={"card fixtureRow" + (isFavourite ? " favourite" : "")}>
+      <div className="fixtureTime">
+        {date && <div className="fixtureDate">{date}</div>}
+        {time}
+      </div>
+
+      <div className="fixtureTeams">
+        {["home", "away"].map(side => (
+          <div key={side} className={"fixtureTeam" + (state && state.winner === side ? " winner" : "")}>
+            {!format.pairs && <span className="miniLogo"><LogoImg src={teamLogoUrl(side === "home" ? ev.homeId : ev.awayId)} /></span>}
+            <span className="teamName">{side === "home" ? ev.homeName : ev.awayName}</span>
+            {isResult && <span className="fixtureSets">{side === "home" ? setsHome : setsAway}</span>}
+          </div>
+        ))}
+      </div>
+
+      <div className="sub">
+        {ev.tournament}
+        {stageText && " · " + stageText}
+        {isResult && " · " + setScoresText(ev)}
+      </div>
+    </div>
+  );
+}
+
+function ScheduleView(props) {
+  const { kind, events, day, onDayChange, teamsBySofaId, isFavouriteEvent } = props;
+
+  const groups = useMemo(() => {
+    const wanted = kind === "upcoming" ? "KOMMER" : "SLUTT";
+    const list = events.filter(ev => {
+      const d = eventDate(ev);
+      return liveLabel(ev.statusType) === wanted && d && dayKey(d) === day;
+    });
+
+    // Favoritter først; program i starttid, resultater siste først
+    list.sort((a, b) =>
+      (isFavouriteEvent(b) - isFavouriteEvent(a)) ||
+      (kind === "upcoming"
+        ? (a.startTs ?? 0) - (b.startTs ?? 0)
+        : (b.startTs ?? 0) - (a.startTs ?? 0))
+    );
+
+    return FILTERS
+      .filter(f => f.key !== "mine")
+      .map(f => ({
+        key: f.key,
+        items: list.filter(ev => classifyEventGroup(ev, teamsBySofaId) === f.key),
+      }))
+      .filter(g => g.items.length > 0);
+  }, [kind, events, day, teamsBySofaId, isFavouriteEvent]);
+
+  const today = dayKey(new Date());
+
+  return (
+    <div>
+      <div className="dayNav">
+        <button className="btn" onClick={() => onDayChange(shiftDay(day, -1))} aria-label={t("day.prev")}>‹</button>
+        <span className="dayLabel">{formatDay(day)}</span>
+        <button className="btn" onClick={() => onDayChange(shiftDay(day, 1))} aria-label={t("day.next")}>›</button>
+        {day !== today && (
+          <button className="btn" onClick={() => onDayChange(today)}>{t("day.today")}</button>
+        )}
+      </div>
+
+      {groups.length === 0 && (
+        <div className="card" style={{ marginTop: 10, cursor: "default" }}>
+          <div style={{ fontWeight: 800, marginBottom: 6 }}>
+            {t(kind === "upcoming" ? "schedule.noUpcoming" : "schedule.noResults")}
+          </div>
+          <div style={{ color: "#6b7280" }}>
+            {t(kind === "upcoming" ? "schedule.noUpcomingText" : "schedule.noResultsText")}
+          </div>
+        </div>
+      )}
+
+      {groups.map(g => (
+        <div key={g.key}>
+          <div className="leagueHeader">{t("filter." + g.key)} ({g.items.length})</div>
+          <div className="grid" style={{ marginTop: 6 }}>
+            {g.items.map(ev => (
+              <FixtureRow
+                key={ev.key}
+                ev={ev}
+                kind={kind}
+                isFavourite={isFavouriteEvent(ev)}
+              />
+            ))}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+/* ===========================
+   Spillerprofil
+   =========================== */
+
+const PROFILE_LIST_MAX = 5;
+
+function PlayerProfile(props) {
+  const { player, team, events, onClose } = props;
+
+  useEffect(() => {
+    function onKey(e) {
+      if (e.key === "Escape") onClose();
+    }
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [onClose]);
+
+  const teamId = player.sofascoreTeamId;
+
+  const matches = useMemo(() => {
+    const own = events.filter(ev =>
+      ev.homeId === teamId || ev.awayId === teamId
+    );
+    const byStart = (a, b) => (a.startTs ?? 0) - (b.startTs ?? 0);
+    return {
+      live: own.filter(ev => isLiveStatus(ev.statusType)),
+      upcoming: own.filter(ev => liveLabel(ev.statusType) === "KOMMER").sort(byStart).slice(0, PROFILE_LIST_MAX),
+      results: own.filter(ev => liveLabel(ev.statusType) === "SLUTT").sort((a, b) => byStart(b, a)).slice(0, PROFILE_LIST_MAX),
+    };
+  }, [events, teamId]);
+
+  const iso = countryIsoFromName(player.nationality);
+  const flag = iso ? isoToFlag(iso) : null;
+  const nationality = player.nationality ? localizedCountry(player.nationality) : null;
 
-          {isFocused && (isServingHome || isServingAway) && (
-            <div className="serveInfoRow">
-              <div>
-                Serve · {isServingHome ? ev.home_team_name : ev.away_team_name}
-              </div>
-              {playText && (
-                <div
-                  className={
-                    "playLabel " +
-                    (playLabelInfo.type === "break-point" ? "break-point" : "side-out")
-                  }
-                >
-                  {playText}
-                </div>
-              )}
+  return (
+    <div className="modalBackdrop" onClick={onClose}>
+      <div
+        className="card profileCard"
+        role="dialog"
+        aria-modal="true"
+        aria-label={player.name}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="profileHead">
+          <PlayerAvatar player={player} size={88} />
+          <div className="nameBlock">
+            <div className="profileName">{player.name}</div>
+            <div className="sub">
+              {[flag, nationality].filter(Boolean).join(" ") || t("profile.unknownNationality")}
             </div>
-          )}
+            {team && (
+              <div className="profileTeam">
+                <span className="miniLogo"><LogoImg src={teamLogoUrl(teamId)} /></span>
+                {team.name}
+              </div>
+            )}
+            {team && (
+              <div className="sub">
+                {[team.league, localizedCountry(team.country)].filter(Boolean).join(" · ")}
+              </div>
+            )}
+          </div>
+          <button className="backBtn profileClose" onClick={onClose}>{t("profile.close")}</button>
         </div>
 
-        <div className="team right">
-          {showNorwegians && norPlayersAway.length > 0 && (
-            <div
-              className="norPlayersRow"
-              style={{
-                display: "flex",
-                gap: 4,
-                marginBottom: 4,
-                justifyContent: "flex-end",
-                flexWrap: "wrap",
+        {matches.live.map(ev => (
+          <div key={ev.key}>
+            <div className="leagueHeader">{t("profile.playingNow")}</div>
+            <button
+              className="btn primary"
+              onClick={() => {
+                onClose();
+                openLiveEvent(ev.id);
               }}
             >
-              {norPlayersAway.map(p => (
-                <PlayerAvatar
-                  key={p.id}
-                  player={p}
-                />
-              ))}
-            </div>
-          )}
+              <span className="dot"></span>
+              {ev.homeName} {ev.homeSets ?? 0}-{ev.awaySets ?? 0} {ev.awayName}
+            </button>
+          </div>
+        ))}
 
-          <LogoBox src={awayLogo} />
-          <span className="teamName">{ev.away_team_name}</span>
+        <div className="leagueHeader">{t("profile.upcoming")}</div>
+        {matches.upcoming.length === 0 && <div className="focusInfo">{t("profile.noUpcoming")}</div>}
+        <div className="grid profileList">
+          {matches.upcoming.map(ev => <FixtureRow key={ev.key} ev={ev} kind="upcoming" showDate />)}
         </div>
-      </div>
 
-      {isFocused && setBoxes.length > 0 && (
-        <div
-          className="setRow"
-          style={{
-            display: "flex",
-            gap: 8,
-            marginTop: 8,
-            flexWrap: "wrap",
-          }}
-        >
-          {setBoxes}
+        <div className="leagueHeader">{t("profile.results")}</div>
+        {matches.results.length === 0 && <div className="focusInfo">{t("profile.noResults")}</div>}
+        <div className="grid profileList">
+          {matches.results.map(ev => <FixtureRow key={ev.key} ev={ev} kind="results" showDate />)}
         </div>
+      </div>
+    </div>
+  );
+}
+
+/* ===========================
+   Søk (search.js)
+   =========================== */
+
+// Kampene bygges på nytt ved hver oppdatering (stillingen står i undertittelen);
+// lag og spillere bare når listene eller språket endres.
+function matchSearchEntries(events, teamsBySofaId, derived) {
+  return events.map(ev => {
+    const home = teamsBySofaId.get(ev.homeId);
+    const away = teamsBySofaId.get(ev.awayId);
+    const info = derived.get(ev.key);
+    return searchEntry(
+      "match",
+      ev.key,
+      ev.homeName + " – " + ev.awayName,
+      [(ev.homeSets ?? 0) + "-" + (ev.awaySets ?? 0), ev.tournament, info && info.countryLabel].filter(Boolean).join(" · "),
+      ev,
+      [ev.homeName, ev.awayName, ...pairNames(ev, "home"), ...pairNames(ev, "away")],
+      [
+        ev.tournament,
+        ev.season,
+        info && info.countryLabel,
+        home && home.country,
+        away && away.country,
+        home && localizedCountry(home.country),
+        away && localizedCountry(away.country),
+      ]
+    );
+  });
+}
+
+function teamSearchEntries(teams) {
+  return teams.map(team => searchEntry(
+    "team",
+    team.id,
+    team.name,
+    [team.league, localizedCountry(team.country)].filter(Boolean).join(" · "),
+    team,
+    [team.name],
+    [team.league, team.country, localizedCountry(team.country)]
+  ));
+}
+
+function playerSearchEntries(players, teamsBySofaId) {
+  return players.map(p => {
+    const team = teamsBySofaId.get(p.sofascoreTeamId);
+    const nationality = p.nationality && localizedCountry(p.nationality);
+    return searchEntry(
+      "player",
+      p.id,
+      p.name,
+      [nationality, team && team.name].filter(Boolean).join(" · "),
+      p,
+      [p.name],
+      [p.nationality, nationality, team && team.name]
+    );
+  });
+}
+
+/*
+  Søkefeltet i focusBar. Piltastene flytter i treffene, Enter velger og Escape
+  tømmer feltet. onPick(entry) får oppføringen fra searchEntry; App bestemmer
+  hva som åpnes. Treffene regnes ut med useDeferredValue, så skrivingen ikke
+  venter på et søk gjennom tusenvis av spillere.
+*/
+function GlobalSearch({ events, teams, players, teamsBySofaId, derived, onPick }) {
+  const locale = useLocale();
+  const [query, setQuery] = useState("");
+  const [open, setOpen] = useState(false);
+  const [active, setActive] = useState(0);
+  const inputRef = useRef(null);
+  const deferredQuery = useDeferredValue(query);
+
+  const matchEntries = useMemo(
+    () => matchSearchEntries(events, teamsBySofaId, derived),
+    [events, teamsBySofaId, derived]
+  );
+  const teamEntries = useMemo(() => teamSearchEntries(teams), [teams, locale]);
+  const playerEntries = useMemo(
+    () => playerSearchEntries(players, teamsBySofaId),
+    [players, teamsBySofaId, locale]
+  );
+
+  const results = useMemo(
+    () => searchEntries(matchEntries.concat(teamEntries, playerEntries), deferredQuery),
+    [matchEntries, teamEntries, playerEntries, deferredQuery]
+  );
+
+  useEffect(() => { setActive(0); }, [deferredQuery]);
+
+  const showList = open && query.trim() !== "";
+  const activeHit = results[Math.min(active, results.length - 1)] || null;
+
+  function pick(entry) {
+    setQuery("");
+    setOpen(false);
+    if (inputRef.current) inputRef.current.blur();
+    onPick(entry);
+  }
+
+  function onKeyDown(e) {
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      setOpen(true);
+      const step = e.key === "ArrowDown" ? 1 : -1;
+      setActive(i => Math.max(0, Math.min(results.length - 1, i + step)));
+    } else if (e.key === "Enter") {
+      if (!showList || !activeHit) return;
+      e.preventDefault();
+      pick(activeHit.entry);
+    } else if (e.key === "Escape") {
+      setQuery("");
+      setOpen(false);
+    }
+  }
+
+  const optionId = (hit) => "search-" + hit.entry.kind + "-" + hit.entry.id;
+
+  return (
+    <div className="globalSearch">
+      <input
+        ref={inputRef}
+        type="search"
+        role="combobox"
+        aria-label={t("search.label")}
+        aria-autocomplete="list"
+        aria-expanded={showList}
+        aria-controls="global-search-results"
+        aria-activedescendant={showList && activeHit ? optionId(activeHit) : undefined}
+        placeholder={t("search.placeholder")}
+        value={query}
+        onChange={(e) => {
+          setQuery(e.target.value);
+          setOpen(true);
+        }}
+        onFocus={() => setOpen(true)}
+        onBlur={() => setOpen(false)}
+        onKeyDown={onKeyDown}
+      />
+
+      {showList && (
+        <ul className="searchResults" id="global-search-results" role="listbox" aria-busy={deferredQuery !== query}>
+          {results.length === 0 && deferredQuery === query && (
+            <li className="searchEmpty">{t("search.none")}</li>
+          )}
+          {results.map((hit, i) => (
+            <li
+              key={hit.entry.kind + ":" + hit.entry.id}
+              id={optionId(hit)}
+              role="option"
+              aria-selected={hit === activeHit}
+              className={"searchResult" + (hit === activeHit ? " active" : "")}
+              // mousedown, så feltet ikke mister fokus (og lista lukkes) før valget
+              onMouseDown={(e) => {
+                e.preventDefault();
+                pick(hit.entry);
+              }}
+              onMouseEnter={() => setActive(i)}
+            >
+              <span className="pill">{t("search.kind." + hit.entry.kind)}</span>
+              <span className="nameBlock">
+                <span className="name">{hit.entry.title}</span>
+                {hit.entry.subtitle && <span className="sub">{hit.entry.subtitle}</span>}
+              </span>
+            </li>
+          ))}
+        </ul>
       )}
     </div>
   );
@@ -929,129 +2365,240 @@ function EventCard(props) {
    =========================== */
 
 function App() {
+  const locale = useLocale();
+
   const [events, setEvents] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState("");
+  const [staleSince, setStaleSince] = useState(null);
 
-  const [filter, setFilter] = useState("other");
+  const initialRoute = useMemo(() => parseRoute(window.location.hash), []);
+
+  const [filter, setFilter] = useState(initialRoute.filter || "other");
   const [flash, setFlash] = useState({});
   const [playLabel, setPlayLabel] = useState({});
-  const [focusedId, setFocusedId] = useState(null);
-
-  const [teams, setTeams] = useState([]);
-  const [players, setPlayers] = useState([]);
+  const [timelines, setTimelines] = useState({});
+  const [serveStates, setServeStates] = useState({});
+  const [focusedId, setFocusedId] = useState(initialRoute.event);
+  const [transport, setTransport] = useState("poll"); // "stream" | "poll"
+  const [showNotify, setShowNotify] = useState(false);
+  const [view, setView] = useState(initialRoute.view);
+  const [day, setDay] = useState(() => initialRoute.day || dayKey(new Date()));
+  const [playoffsOnly, setPlayoffsOnly] = useState(initialRoute.playoffs);
+  const [profileId, setProfileId] = useState(null);
+
+  const { favourites, toggleTeam, togglePlayer } = useFavourites();
+  const session = useLiveSession();
 
   const pollRef = useRef(null);
+  // Valgt av brukeren eller lenken – da skal ikke smart default-filter overstyre
+  const filterPinnedRef = useRef(!!initialRoute.filter);
+  const lastSeenRef = useRef(null); // ev.key -> ev, fra forrige oppdatering
+  const missingRef = useRef(new Map()); // se keepMissing
   const abortLiveRef = useRef(null);
   const wakeLockRef = useRef(null);
 
-  const fetchJson = useCallback(async (path, signal) => {
-    const res = await fetch(API_BASE + path, {
-      headers: { "Accept": "application/json" },
-      signal: signal,
-      cache: "no-store",
-    });
-    if (!res.ok) throw new Error(String(res.status) + " " + String(res.statusText));
-    return res.json();
-  }, []);
+  /* ---- Lag og spillere ---- */
 
-  /* ---- Hent teams ---- */
+  const teamList = useReferenceList("teams");
+  const playerList = useReferenceList("players");
+  const teams = teamList.items;
+  const players = playerList.items;
 
+  /* ---- Del data med Hub ---- */
+
+  useEffect(() => { publishShared({ live: events }); }, [events]);
+  useEffect(() => { publishShared({ teams: teams }); }, [teams]);
+  useEffect(() => { publishShared({ players: players }); }, [players]);
   useEffect(() => {
-    let cancelled = false;
-    const controller = new AbortController();
+    publishShared({ reference: { teams: teamList, players: playerList } });
+  }, [teamList, playerList]);
 
-    (async () => {
-      try {
-        const data = await fetchJson("/teams?limit=1000&offset=0", controller.signal);
-        if (!cancelled) {
-          setTeams(safeArray(data));
-        }
-      } catch (e) {
-        if (String(e && e.name) === "AbortError") return;
-        console.warn("Feil ved henting av teams:", e);
+  /* ---- Ruting: URL -> tilstand ---- */
+
+  useEffect(() => {
+    function onRoute() {
+      const r = parseRoute(window.location.hash);
+      if (r.tab !== "live") return;
+
+      setView(r.view);
+      setFocusedId(r.event);
+      setPlayoffsOnly(r.playoffs);
+      if (r.day) setDay(r.day);
+      if (r.filter) {
+        filterPinnedRef.current = true;
+        setFilter(r.filter);
       }
-    })();
+    }
 
+    window.addEventListener("hashchange", onRoute);
+    window.addEventListener("popstate", onRoute);
     return () => {
-      cancelled = true;
-      controller.abort();
+      window.removeEventListener("hashchange", onRoute);
+      window.removeEventListener("popstate", onRoute);
     };
-  }, [fetchJson]);
-
-  /* ---- Hent players ---- */
+  }, []);
 
-  function normalizePlayer(p) {
-    return {
-      id: nonEmpty(p.id),
-      name: asStr(p.name) || "—",
-      nationality: nonEmpty(p.nationality),
-      sofascoreTeamId: asNum(p.sofascore_team_id),
-    };
-  }
+  /* ---- Ruting: tilstand -> URL ---- */
 
+  // Fokus og visning får egen historikk (tilbake-knappen går ut av fokus);
+  // filter og dag erstatter bare gjeldende adresse.
   useEffect(() => {
-    let cancelled = false;
-    const controller = new AbortController();
+    const current = parseRoute(window.location.hash);
+    if (window.location.hash && current.tab !== "live") return;
+
+    const next = formatRoute({
+      view: view,
+      filter: filterPinnedRef.current ? filter : null,
+      event: focusedId,
+      day: day !== dayKey(new Date()) ? day : null,
+      playoffs: playoffsOnly,
+    });
+    if (next === window.location.hash) return;
 
-    (async () => {
-      try {
-        const data = await fetchJson("/players?limit=1000&offset=0", controller.signal);
-        if (!cancelled) {
-          const arr = Array.isArray(data) ? data : safeArray(data?.items);
-          setPlayers(
-            arr.map(normalizePlayer).filter(p => p && p.id && p.sofascoreTeamId != null)
-          );
-        }
-      } catch (e) {
-        if (String(e && e.name) === "AbortError") return;
-        console.warn("Feil ved henting av players:", e);
-      }
-    })();
+    const sameFocus = String(current.event ?? "") === String(focusedId ?? "");
+    const push = current.view !== view || !sameFocus;
+    if (push) window.history.pushState(null, "", next);
+    else window.history.replaceState(null, "", next);
+  }, [view, filter, focusedId, day, playoffsOnly]);
 
-    return () => {
-      cancelled = true;
-      controller.abort();
-    };
-  }, [fetchJson]);
+  useEffect(() => {
+    function onProfile(e) {
+      setProfileId((e.detail && e.detail.id) ?? null);
+    }
+    window.addEventListener(PROFILE_EVENT, onProfile);
+    return () => window.removeEventListener(PROFILE_EVENT, onProfile);
+  }, []);
+
+  const closeProfile = useCallback(() => setProfileId(null), []);
 
   /* ---- Map'er ---- */
 
   const teamsBySofaId = useMemo(() => {
     const map = new Map();
     for (let i = 0; i < teams.length; i++) {
-      const t = teams[i];
-      if (!t) continue;
-      const raw = t.sofascore_team_id;
-      if (raw == null || raw === "") continue;
-      const key = Number(raw);
-      if (!Number.isNaN(key)) {
-        map.set(key, t);
-      }
+      map.set(teams[i].id, teams[i]);
     }
     return map;
   }, [teams]);
 
+  const derived = useDerivedEvents(events, teamsBySofaId, locale);
+
   const playersByTeamSofaId = useMemo(() => {
     const map = new Map();
     for (let i = 0; i < players.length; i++) {
       const p = players[i];
-      if (!p) continue;
-
-      const isNorwegian = asStr(p.nationality).toLowerCase().includes("nor");
-      if (!isNorwegian) continue;
+      if (!isNorwegianPlayer(p)) continue;
 
       const key = p.sofascoreTeamId;
-      if (key == null || Number.isNaN(key)) continue;
-
       if (!map.has(key)) map.set(key, []);
       map.get(key).push(p);
     }
     return map;
   }, [players]);
 
+  /* ---- Favoritter: lag direkte + lagene til favorittspillere ---- */
+
+  const favouritePlayerIds = useMemo(() => new Set(favourites.players), [favourites.players]);
+  // Stjernene på kortene: bare lag brukeren har markert selv. Et lag som bare
+  // er med via en favorittspiller kan ikke slås av med lagstjernen.
+  const starredTeamIds = useMemo(() => new Set(favourites.teams), [favourites.teams]);
+
+  const favouriteTeamIds = useMemo(() => {
+    const set = new Set(favourites.teams);
+    for (let i = 0; i < players.length; i++) {
+      const p = players[i];
+      if (favouritePlayerIds.has(p.id)) set.add(p.sofascoreTeamId);
+    }
+    return set;
+  }, [favourites.teams, favouritePlayerIds, players]);
+
+  const isFavouriteEvent = useCallback((ev) => {
+    return (
+      favouriteTeamIds.has(ev.homeId) ||
+      favouriteTeamIds.has(ev.awayId)
+    );
+  }, [favouriteTeamIds]);
+
+  const notifications = useMatchNotifications(isFavouriteEvent);
+  const notifyChange = notifications.handleChange;
+
+  /* ---- Legg inn live-data (hele lista eller én kamp) ---- */
+
+  const applySnapshot = useCallback((incoming) => {
+    // Første oppdatering er bare et utgangspunkt – ingen varsler
+    const seen = lastSeenRef.current;
+    const nextEvents = reuseUnchanged(seen, incoming);
+    const nextSeen = new Map();
+    for (let i = 0; i < nextEvents.length; i++) {
+      const key = nextEvents[i].key;
+      if (seen) notifyChange(seen.get(key) || null, nextEvents[i]);
+      nextSeen.set(key, nextEvents[i]);
+    }
+    if (seen) keepMissing(seen, nextSeen, missingRef.current);
+    lastSeenRef.current = nextSeen;
+
+    const signals = scoreSignals(nextEvents);
+    setFlash(signals.flash);
+    setPlayLabel(signals.playLabel);
+    setTimelines(prev => {
+      const next = {};
+      for (let i = 0; i < nextEvents.length; i++) {
+        const key = nextEvents[i].key;
+        next[key] = appendTimeline(prev[key] || NO_POINTS, nextEvents[i]);
+      }
+      return next;
+    });
+    setServeStates(prev => {
+      const next = {};
+      for (let i = 0; i < nextEvents.length; i++) {
+        const key = nextEvents[i].key;
+        // Uendret kamp: samme rad gir samme tilstand, så den beholdes
+        const unchanged = !!seen && seen.get(key) === nextEvents[i] && key in prev;
+        next[key] = unchanged ? prev[key] : advanceServe(prev[key], nextEvents[i]);
+      }
+      return next;
+    });
+    setEvents(nextEvents);
+  }, [notifyChange]);
+
+  const applyUpdate = useCallback((ev) => {
+    const key = ev.key;
+    const signals = scoreSignals([ev]);
+
+    const seen = lastSeenRef.current;
+    if (seen) {
+      notifyChange(seen.get(key) || null, ev);
+      seen.set(key, ev);
+    }
+
+    setFlash(prev => withKey(prev, key, signals.flash[key]));
+    setPlayLabel(prev => withKey(prev, key, signals.playLabel[key]));
+    setTimelines(prev => withKey(prev, key, appendTimeline(prev[key] || [], ev)));
+    setServeStates(prev => withKey(prev, key, advanceServe(prev[key], ev)));
+    setEvents(prev => {
+      const idx = prev.findIndex(x => x.key === key);
+      if (idx === -1) return prev.concat([ev]);
+      const next = prev.slice();
+      next[idx] = ev;
+      return next;
+    });
+  }, [notifyChange]);
+
+  // Kampen blir stående i lastSeenRef (se keepMissing): en fjernet kamp er ikke
+  // et resultat, og kommer den tilbake skal den ikke varsles som ny
+  const applyRemove = useCallback((key) => {
+    setFlash(prev => withKey(prev, key, undefined));
+    setPlayLabel(prev => withKey(prev, key, undefined));
+    setTimelines(prev => withKey(prev, key, undefined));
+    setServeStates(prev => withKey(prev, key, undefined));
+    setEvents(prev => prev.filter(x => x.key !== key));
+  }, []);
+
   /* ---- Hent live og scorer per kamp (bruker backend-run) ---- */
 
+  const fetchLiveData = session.source;
+
   const loadLive = useCallback(async () => {
     if (abortLiveRef.current) abortLiveRef.current.abort();
     const controller = new AbortController();
@@ -1059,56 +2606,31 @@ function App() {
 
     try {
       setError("");
-      const data = await fetchJson("/live", controller.signal);
-      const nextEvents = safeArray(data);
-
-      const newFlash = {};
-      const newPlayLabel = {};
-      const now = Date.now();
-
-      for (let i = 0; i < nextEvents.length; i++) {
-        const ev = nextEvents[i];
-        const key = eventKey(ev);
-
-        const runHome = Number(ev.home_point_run ?? 0);
-        const runAway = Number(ev.away_point_run ?? 0);
-        const newScore = Number(ev.new_score ?? 0);
-
-        let serveSide = null;
-        if (runHome > 0 && runAway === 0) {
-          serveSide = "home";
-        } else if (runAway > 0 && runHome === 0) {
-          serveSide = "away";
-        }
-
-        if (newScore === 1 && serveSide) {
-          // Blink kun når det faktisk er NYTT poeng
-          newFlash[key] = {};
-          newFlash[key][serveSide] = now + Math.random();
-
-          const run = (serveSide === "home") ? runHome : runAway;
-          let labelType = "side-out";
-          if (run >= 2) {
-            labelType = "break-point";
-          }
-
-          newPlayLabel[key] = {
-            side: serveSide,
-            type: labelType,
-          };
-        }
-      }
+      const { events: nextEvents, staleSince } = await fetchLiveData(controller.signal);
 
-      setFlash(newFlash);
-      setPlayLabel(newPlayLabel);
-      setEvents(nextEvents);
+      setStaleSince(staleSince);
+      applySnapshot(nextEvents);
     } catch (e) {
       if (String(e && e.name) === "AbortError") return;
       setError(String((e && e.message) ? e.message : e));
     } finally {
       setLoading(false);
     }
-  }, [fetchJson]);
+  }, [applySnapshot, fetchLiveData]);
+
+  /* ---- Tilbake på nett ---- */
+
+  useEffect(() => {
+    function onOnline() {
+      // Bilder som feilet uten nett skal få et nytt forsøk
+      for (const [src, status] of imgStatusCache) {
+        if (status === "fail") imgStatusCache.delete(src);
+      }
+      loadLive();
+    }
+    window.addEventListener("online", onOnline);
+    return () => window.removeEventListener("online", onOnline);
+  }, [loadLive]);
 
   /* ---- Wake Lock ---- */
 
@@ -1139,89 +2661,191 @@ function App() {
     }
   }, []);
 
-  /* ---- Poll / cleanup ---- */
+  /* ---- Strøm, med polling som fallback / cleanup ---- */
 
   useEffect(() => {
-    loadLive();
-    pollRef.current = setInterval(loadLive, POLL_MS);
-    return () => {
+    function startPolling() {
+      if (pollRef.current) return;
+      loadLive();
+      pollRef.current = setInterval(loadLive, POLL_MS);
+      setTransport("poll");
+    }
+
+    function stopPolling() {
       if (pollRef.current) clearInterval(pollRef.current);
+      pollRef.current = null;
       if (abortLiveRef.current) abortLiveRef.current.abort();
+    }
+
+    // Polling går til strømmen faktisk er åpen, og tar over igjen når den faller ut.
+    // Avspilling kaller loadLive selv (under); opptak går bare via /live.
+    if (!session.replaying) startPolling();
+
+    let closeStream = null;
+    if (!session.active && typeof window.EventSource === "function") {
+      closeStream = connectLiveStream({
+        onOpen: () => {
+          stopPolling();
+          setTransport("stream");
+        },
+        onDown: startPolling,
+        onSnapshot: (list) => {
+          setError("");
+          setStaleSince(null);
+          applySnapshot(list);
+          setLoading(false);
+        },
+        onUpdate: applyUpdate,
+        onRemove: applyRemove,
+      });
+    }
+
+    return () => {
+      if (closeStream) closeStream();
+      stopPolling();
       releaseWakeLock();
     };
-  }, [loadLive, releaseWakeLock]);
+  }, [loadLive, applySnapshot, applyUpdate, applyRemove, releaseWakeLock, session.replaying, session.active]);
+
+  /* ---- Avspilling av opptak (?replay) ---- */
+
+  // Ett svar per tick, med ventetiden fra opptaket delt på farten
+  const { replay, playing, speed, position, setPlaying, setPosition } = session;
+  useEffect(() => {
+    if (!replay || !playing) return undefined;
+
+    const delay = replay.index < 0 ? 0 : replay.delayToNext(speed);
+    if (delay == null) {
+      setPlaying(false);
+      return undefined;
+    }
+
+    const timer = setTimeout(() => {
+      replay.advance();
+      setPosition(replay.index);
+      loadLive();
+    }, delay);
+    return () => clearTimeout(timer);
+  }, [replay, playing, speed, position, setPlaying, setPosition, loadLive]);
+
+  // Første svar i en ny runde er et nytt utgangspunkt. Ellers sammenlignes det
+  // med siste svar fra forrige runde: varsler, serve og tidslinje går baklengs.
+  const generation = session.generation;
+  useEffect(() => {
+    if (!generation) return;
+    if (abortLiveRef.current) abortLiveRef.current.abort();
+    lastSeenRef.current = null;
+    missingRef.current = new Map();
+    setFlash({});
+    setPlayLabel({});
+    setTimelines({});
+    setServeStates({});
+  }, [generation]);
 
   const liveEvents = useMemo(() => {
-    return events.filter(ev => isLiveStatus(ev.status_type));
+    return events.filter(ev => isLiveStatus(ev.statusType));
   }, [events]);
 
+  // Sluttspill-filteret gjelder listene; en lenket kamp vises uansett
+  const listEvents = useMemo(() => {
+    return playoffsOnly ? liveEvents.filter(isPlayoffEvent) : liveEvents;
+  }, [liveEvents, playoffsOnly]);
+
+  const scheduleEvents = useMemo(() => {
+    return playoffsOnly ? events.filter(isPlayoffEvent) : events;
+  }, [events, playoffsOnly]);
+
   /* ---- tell opp per gruppe ---- */
 
   const counts = useMemo(() => {
-    let miz = 0, abr = 0, oth = 0;
-    for (let i = 0; i < liveEvents.length; i++) {
-      const ev = liveEvents[i];
-      const group = classifyEventGroup(ev, teamsBySofaId);
+    let miz = 0, abr = 0, oth = 0, mine = 0;
+    for (let i = 0; i < listEvents.length; i++) {
+      const ev = listEvents[i];
+      const group = derived.get(ev.key).group;
       if (group === "mizuno") miz++;
       else if (group === "abroad") abr++;
       else oth++;
+      if (isFavouriteEvent(ev)) mine++;
     }
-    return { abroad: abr, mizuno: miz, other: oth, all: liveEvents.length };
-  }, [liveEvents, teamsBySofaId]);
+    return { mine: mine, abroad: abr, mizuno: miz, other: oth, all: listEvents.length };
+  }, [listEvents, derived, isFavouriteEvent]);
 
   /* ---- smart default-filter ---- */
 
   useEffect(() => {
-    if (counts.mizuno > 0) {
+    if (filterPinnedRef.current) return;
+
+    if (counts.mine > 0) {
+      setFilter("mine");
+    } else if (counts.mizuno > 0) {
       setFilter("mizuno");
     } else if (counts.abroad > 0) {
       setFilter("abroad");
     } else {
       setFilter("other");
     }
-  }, [counts.abroad, counts.mizuno, counts.other]);
+  }, [counts.mine, counts.abroad, counts.mizuno, counts.other]);
 
   /* ---- filtrerte events ---- */
 
   const filtered = useMemo(() => {
-    const arr = liveEvents.slice();
-    arr.sort((a, b) => (a.start_ts ?? 0) - (b.start_ts ?? 0));
-    return arr.filter(ev => classifyEventGroup(ev, teamsBySofaId) === filter);
-  }, [liveEvents, filter, teamsBySofaId]);
+    const arr = listEvents.filter(ev =>
+      filter === "mine"
+        ? isFavouriteEvent(ev)
+        : derived.get(ev.key).group === filter
+    );
+    // Favoritter først, ellers etter starttid
+    arr.sort((a, b) =>
+      (isFavouriteEvent(b) - isFavouriteEvent(a)) ||
+      ((a.startTs ?? 0) - (b.startTs ?? 0))
+    );
+    return arr;
+  }, [listEvents, filter, derived, isFavouriteEvent]);
+
+  /* ---- kioskmodus: valgte filtre, alle samtidig ---- */
+
+  const kioskEvents = useMemo(() => {
+    if (!KIOSK) return [];
+    const arr = liveEvents.filter(ev =>
+      (!KIOSK.playoffs || isPlayoffEvent(ev)) &&
+      KIOSK.filters.some(key =>
+        key === "mine" ? isFavouriteEvent(ev) : derived.get(ev.key).group === key
+      )
+    );
+    arr.sort((a, b) => (a.startTs ?? 0) - (b.startTs ?? 0));
+    return arr;
+  }, [liveEvents, derived, isFavouriteEvent]);
 
-  /* ---- fokuslogikk ---- */
+  const kioskFocusKey = useKioskRotation(kioskEvents);
+  useKioskDocument();
 
-  const visible = useMemo(() => {
-    if (!focusedId) return filtered;
+  /* ---- fokuslogikk ---- */
 
-    const found =
-      filtered.find(ev => eventId(ev) === focusedId) ||
-      liveEvents.find(ev => eventId(ev) === focusedId) ||
-      null;
+  const focusedEvent = useMemo(() => {
+    if (focusedId == null) return null;
+    return liveEvents.find(ev => sameId(ev.id, focusedId)) || null;
+  }, [focusedId, liveEvents]);
 
-    return found ? [found] : filtered;
-  }, [filtered, focusedId, liveEvents]);
+  const visible = focusedEvent ? [focusedEvent] : filtered;
 
-  const currentFilterObj = FILTERS.find(x => x.key === filter);
+  // Lenket kamp som ikke (lenger) er live: vis den om vi har den, ellers bare lista
+  const missingFocus =
+    focusedId != null && !focusedEvent && !loading
+      ? (events.find(ev => sameId(ev.id, focusedId)) || { missing: true })
+      : null;
 
   /* ---- Wake Lock vs fokus ---- */
 
   useEffect(() => {
-    let focusedEvent = null;
-    if (focusedId != null) {
-      focusedEvent =
-        filtered.find(ev => eventId(ev) === focusedId) ||
-        liveEvents.find(ev => eventId(ev) === focusedId) ||
-        null;
-    }
-
     const cp = focusedEvent ? currentPoints(focusedEvent) : null;
     const hasActiveSet = !!(cp && cp.setNo != null);
 
+    // Kiosken holder skjermen våken hele tiden
     const shouldKeepAwake =
-      !!focusedEvent &&
-      isLiveStatus(focusedEvent.status_type) &&
-      hasActiveSet;
+      !!KIOSK ||
+      (!!focusedEvent &&
+        isLiveStatus(focusedEvent.statusType) &&
+        hasActiveSet);
 
     if (shouldKeepAwake) {
       requestWakeLock();
@@ -1239,129 +2863,299 @@ function App() {
     return () => {
       document.removeEventListener("visibilitychange", handleVisibility);
     };
-  }, [focusedId, filtered, liveEvents, requestWakeLock, releaseWakeLock]);
+  }, [focusedEvent, requestWakeLock, releaseWakeLock]);
 
   /* ---- Hjelper: norske spillere for lag ---- */
 
   function getNorPlayersForTeam(teamId) {
-    if (teamId == null) return [];
-    const key = Number(teamId);
-    if (Number.isNaN(key)) return [];
-    return playersByTeamSofaId.get(key) || [];
+    if (teamId == null) return NO_PLAYERS;
+    return playersByTeamSofaId.get(teamId) || NO_PLAYERS;
   }
 
+  const toggleFocus = useCallback((ev) => {
+    if (ev.id == null) {
+      setFocusedId(null);
+    } else {
+      setFocusedId(prev => (sameId(prev, ev.id) ? null : ev.id));
+    }
+  }, []);
+
+  /* ---- Søk: kamp i fokus, lag i Hub, spiller i profilen ---- */
+
+  const pickSearchResult = useCallback((entry) => {
+    if (entry.kind === "team") {
+      openHubTeam(entry.id);
+    } else if (entry.kind === "player") {
+      openPlayerProfile(entry.id);
+    } else {
+      const ev = entry.target;
+      if (playoffsOnly && !isPlayoffEvent(ev)) setPlayoffsOnly(false);
+      // Uten id kan kampen ikke settes i fokus; vis gruppen den står i
+      if (ev.id == null) {
+        filterPinnedRef.current = true;
+        setFilter(derived.get(ev.key).group);
+        setFocusedId(null);
+      } else {
+        setFocusedId(ev.id);
+      }
+      window.scrollTo(0, 0);
+    }
+  }, [playoffsOnly, derived]);
+
   /* ---- Render ---- */
 
+  function renderCard(ev, isFocused) {
+    const keyStr = ev.key;
+    const flashInfo = flash[keyStr] || NO_FLASH;
+    const playLabelInfo = playLabel[keyStr] || null;
+
+    const info = derived.get(keyStr);
+    const isAbroadGroup = info.group === "abroad";
+
+    const norPlayersHome = isAbroadGroup ? getNorPlayersForTeam(ev.homeId) : NO_PLAYERS;
+    const norPlayersAway = isAbroadGroup ? getNorPlayersForTeam(ev.awayId) : NO_PLAYERS;
+
+    const serveInfo = cachedServeInfo(serveStates[keyStr], ev);
+
+    return (
+      <EventCard
+        key={keyStr}
+        ev={ev}
+        flashInfo={flashInfo}
+        serveInfo={serveInfo}
+        playLabelInfo={playLabelInfo}
+        isFocused={isFocused}
+        isAbroadGroup={isAbroadGroup}
+        norPlayersHome={norPlayersHome}
+        norPlayersAway={norPlayersAway}
+        countryLabel={info.countryLabel}
+        leagueLevel={info.leagueLevel}
+        stageText={info.stageText}
+        timeline={timelines[keyStr]}
+        firstServer={serveStates[keyStr] ? serveStates[keyStr].firstServer : null}
+        isFavourite={isFavouriteEvent(ev)}
+        starredTeamIds={starredTeamIds}
+        favouritePlayerIds={favouritePlayerIds}
+        onToggleTeam={toggleTeam}
+        onTogglePlayer={togglePlayer}
+        notifyEnabled={notifications.settings.enabled}
+        isFollowed={notifications.isFollowed(ev)}
+        onToggleFollow={notifications.toggleFollow}
+        onClick={KIOSK ? undefined : toggleFocus}
+      />
+    );
+  }
+
+  const profilePlayer = profileId != null ? players.find(p => p.id === profileId) : null;
+  const profileNode = profilePlayer
+    ? ReactDOM.createPortal(
+        <PlayerProfile
+          player={profilePlayer}
+          team={teamsBySofaId.get(profilePlayer.sofascoreTeamId) || null}
+          events={events}
+          onClose={closeProfile}
+        />,
+        document.getElementById("overlay-root")
+      )
+    : null;
+
+  const sessionNode = session.active && <SessionBar session={session} />;
+  const referenceNode = <ReferenceNotice teams={teamList} players={playerList} />;
+
+  const staleNode = staleSince != null && (
+    <div className="staleBanner">
+      {staleSince > 0
+        ? t("stale.at", { time: formatTime(new Date(staleSince)) })
+        : t("stale.unknown")}
+      {" "}{t("stale.retry")}
+    </div>
+  );
+
+  const viewTabs = (
+    <div className="subnav" style={{ marginBottom: 4 }}>
+      {VIEWS.map(v => (
+        <button
+          key={v}
+          className={"btn" + (view === v ? " primary" : "")}
+          onClick={() => {
+            setView(v);
+            setFocusedId(null);
+            setDay(dayKey(new Date()));
+          }}
+        >
+          {t("view." + v)}
+        </button>
+      ))}
+      <button
+        className={"btn" + (playoffsOnly ? " primary" : "")}
+        style={{ marginLeft: "auto" }}
+        aria-pressed={playoffsOnly}
+        title={t("stage.playoffsOnlyTitle")}
+        onClick={() => setPlayoffsOnly(v => !v)}
+      >
+        {t("stage.playoffsOnly")}
+      </button>
+    </div>
+  );
+
+  if (KIOSK) {
+    const kioskFocused = kioskFocusKey ? kioskEvents.find(ev => ev.key === kioskFocusKey) : null;
+    return (
+      <div className="wrap kioskWrap">
+        {sessionNode}
+        {staleNode}
+        {error && <div className="alert">{t("error", { msg: error })}</div>}
+        {loading && <div className="kioskEmpty">{t("loading")}</div>}
+        {!loading && kioskEvents.length === 0 && <div className="kioskEmpty">{t("kiosk.none")}</div>}
+        <div className={"grid" + (kioskFocused ? "" : " kioskGrid")}>
+          {kioskFocused
+            ? renderCard(kioskFocused, true)
+            : kioskEvents.map(ev => renderCard(ev, false))}
+        </div>
+      </div>
+    );
+  }
+
+  if (view !== "live") {
+    return (
+      <div className="wrap">
+        {sessionNode}
+        {viewTabs}
+        {staleNode}
+        {referenceNode}
+        {error && <div className="alert">{t("error", { msg: error })}</div>}
+        <ScheduleView
+          kind={view}
+          events={scheduleEvents}
+          day={day}
+          onDayChange={setDay}
+          teamsBySofaId={teamsBySofaId}
+          isFavouriteEvent={isFavouriteEvent}
+        />
+        {profileNode}
+      </div>
+    );
+  }
+
   return (
     <div className="wrap">
+      {sessionNode}
+      {viewTabs}
+
       <div className="focusBar">
         <div className="badges" style={{ marginBottom: 4 }}>
           {FILTERS.map(f => {
             const active = filter === f.key;
-            const n =
-              f.key === "abroad" ? counts.abroad :
-              f.key === "mizuno" ? counts.mizuno :
-              counts.other;
+            const n = counts[f.key] ?? 0;
 
             return (
               <button
                 key={f.key}
-                onClick={() => { setFilter(f.key); setFocusedId(null); }}
+                onClick={() => {
+                  filterPinnedRef.current = true;
+                  setFilter(f.key);
+                  setFocusedId(null);
+                }}
                 className="badge filterBtn"
                 style={{
                   background: active ? "#111827" : "#fafafa",
                   color: active ? "#ffffff" : "#111827",
                   borderColor: active ? "#111827" : "var(--border)",
                 }}
-                title={f.label}
+                title={t("filter." + f.key)}
               >
-                {f.label} ({n})
+                {t("filter." + f.key)} ({formatNumber(n)})
               </button>
             );
           })}
+
+          <span
+            className="badge"
+            title={
+              transport === "stream"
+                ? t("transport.streamTitle")
+                : t("transport.pollTitle", { n: POLL_MS / 1000 })
+            }
+          >
+            <span className={transport === "stream" ? "dot" : "dot gray"}></span>
+            {transport === "stream" ? t("transport.stream") : t("transport.poll", { n: POLL_MS / 1000 })}
+          </span>
+
+          <button
+            className="badge filterBtn"
+            aria-expanded={showNotify}
+            onClick={() => setShowNotify(v => !v)}
+          >
+            {notifications.settings.enabled ? "🔔" : "🔕"} {t("notify.button")}
+          </button>
         </div>
 
-        {focusedId && (
+        <GlobalSearch
+          events={liveEvents}
+          teams={teams}
+          players={players}
+          teamsBySofaId={teamsBySofaId}
+          derived={derived}
+          onPick={pickSearchResult}
+        />
+
+        {focusedEvent && (
           <button className="backBtn" onClick={() => setFocusedId(null)}>
-            ← Tilbake til alle kamper
+            {t("focus.back")}
           </button>
         )}
       </div>
 
-      {focusedId && (
+      {showNotify && <NotifyPanel notifications={notifications} />}
+
+      {missingFocus && (
+        <div className="card" style={{ marginTop: 10, cursor: "default" }}>
+          <div style={{ fontWeight: 800, marginBottom: 6 }}>{t("missing.title")}</div>
+          <div style={{ color: "#6b7280", marginBottom: 8 }}>
+            {t(missingFocus.missing ? "missing.gone" : "missing.notLive")}
+          </div>
+          {!missingFocus.missing && (
+            <FixtureRow
+              ev={missingFocus}
+              kind={liveLabel(missingFocus.statusType) === "SLUTT" ? "results" : "upcoming"}
+              showDate
+            />
+          )}
+          <button className="btn" style={{ marginTop: 8 }} onClick={() => setFocusedId(null)}>
+            {t("missing.showAll")}
+          </button>
+        </div>
+      )}
+
+      {focusedEvent && (
         <div className="focusInfo">
-          Viser én kamp i fokus. Skjermen holdes våken bare mens et sett faktisk pågår
-          (der det støttes av nettleseren).
+          {t("focus.info")}
         </div>
       )}
 
-      {error && <div className="alert">Feil: {error}</div>}
-      {loading && <div style={{ marginTop: 10, color: "#6b7280" }}>Laster…</div>}
+      {staleNode}
+      {referenceNode}
+      {error && <div className="alert">{t("error", { msg: error })}</div>}
+      {loading && <div style={{ marginTop: 10, color: "#6b7280" }}>{t("loading")}</div>}
 
       {!loading && !error && visible.length === 0 && (
         <div className="card" style={{ marginTop: 10, cursor: "default" }}>
-          <div style={{ fontWeight: 800, marginBottom: 6 }}>Ingen livekamper</div>
+          <div style={{ fontWeight: 800, marginBottom: 6 }}>{t("live.none")}</div>
           <div style={{ color: "#6b7280" }}>
-            {currentFilterObj?.empty}
+            {t("filter." + filter + ".empty")}
           </div>
         </div>
       )}
 
       <div className="grid">
-        {visible.map(ev => {
-          const keyStr = eventKey(ev);
-          const flashInfo = flash[keyStr] || {};
-          const playLabelInfo = playLabel[keyStr] || null;
-          const isFocused = focusedId != null && eventId(ev) === focusedId;
-
-          const id = eventId(ev);
-
-          const group = classifyEventGroup(ev, teamsBySofaId);
-          const isAbroadGroup = group === "abroad";
-
-          const norPlayersHome = isAbroadGroup ? getNorPlayersForTeam(getHomeId(ev)) : [];
-          const norPlayersAway = isAbroadGroup ? getNorPlayersForTeam(getAwayId(ev)) : [];
-
-          const countryLabel = deriveCountryLabel(ev, teamsBySofaId);
-          const leagueLevel = deriveLeagueLevel(ev, teamsBySofaId);
-          const stageLabel = deriveStageLabel(ev);
-
-          const runHome = Number(ev.home_point_run ?? 0);
-          const runAway = Number(ev.away_point_run ?? 0);
-          let serveInfo = null;
-          if (runHome > 0 && runAway === 0) {
-            serveInfo = { side: "home", run: runHome };
-          } else if (runAway > 0 && runHome === 0) {
-            serveInfo = { side: "away", run: runAway };
-          }
-
-          return (
-            <EventCard
-              key={keyStr}
-              ev={ev}
-              flashInfo={flashInfo}
-              serveInfo={serveInfo}
-              playLabelInfo={playLabelInfo}
-              isFocused={isFocused}
-              isAbroadGroup={isAbroadGroup}
-              norPlayersHome={norPlayersHome}
-              norPlayersAway={norPlayersAway}
-              countryLabel={countryLabel}
-              leagueLevel={leagueLevel}
-              stageLabel={stageLabel}
-              onClick={() => {
-                if (id == null) {
-                  setFocusedId(null);
-                } else {
-                  setFocusedId(prev => (prev === id ? null : id));
-                }
-              }}
-            />
-          );
-        })}
+        {visible.map(ev => renderCard(ev, focusedEvent != null && sameId(ev.id, focusedId)))}
       </div>
+
+      {profileNode}
     </div>
   );
 }
 
-ReactDOM.createRoot(document.getElementById("live-root")).render(<App />);
+// embed.html laster live.js for helpers og komponenter, uten selve appen
+const liveRoot = document.getElementById("live-root");
+if (liveRoot) ReactDOM.createRoot(liveRoot).render(<App />);
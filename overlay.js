@@ -0,0 +1,223 @@
+/* ===========================
+   Scorebug for strømming (overlay.html)
+   =========================== */
+
+// Legges inn som nettleserkilde i OBS. Lastes etter live.js og bruker samme
+// data (connectLiveStream i api.js, med polling som fallback) og regler (matchState,
+// serve-tilstanden fra advanceServe). Gjennomsiktig bakgrunn.
+//
+//   overlay.html?event=123
+//   &layout=stacked|line          to rader (standard) eller én linje
+//   &position=tl|tr|bl|br         hjørne (standard tl)
+//   &scale=1.5                    størrelse
+//   &home=2563eb&away=dc2626      lagfarger (hex uten #)
+//   &bg=111827&fg=ffffff&accent=facc15
+//   &logos=0  &history=1          skjul logoer / vis poeng i hvert sett
+//   &lang=en
+
+const OVERLAY_LAYOUTS = ["stacked", "line"];
+const OVERLAY_POSITIONS = ["tl", "tr", "bl", "br"];
+
+function hexColor(value, fallback) {
+  const s = asStr(value).replace(/^#/, "");
+  return /^([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i.test(s) ? "#" + s : fallback;
+}
+
+function parseOverlay(search) {
+  const q = new URLSearchParams(search || "");
+  const layout = q.get("layout");
+  const position = q.get("position");
+  const scale = Number(q.get("scale"));
+  const lang = q.get("lang");
+
+  return {
+    event: nonEmpty(q.get("event")),
+    layout: OVERLAY_LAYOUTS.includes(layout) ? layout : "stacked",
+    position: OVERLAY_POSITIONS.includes(position) ? position : "tl",
+    scale: scale > 0 && scale <= 5 ? scale : 1,
+    colors: {
+      home: hexColor(q.get("home"), "#2563eb"),
+      away: hexColor(q.get("away"), "#dc2626"),
+      bg: hexColor(q.get("bg"), "#111827"),
+      fg: hexColor(q.get("fg"), "#ffffff"),
+      accent: hexColor(q.get("accent"), "#facc15"),
+    },
+    logos: q.get("logos") !== "0",
+    history: q.get("history") === "1",
+    lang: LOCALES.some(l => l.key === lang) ? lang : null,
+  };
+}
+
+const OVERLAY = parseOverlay(window.location.search);
+
+// Kampen og serve-tilstanden, oppdatert fra strømmen eller polling
+function useOverlayEvent(id) {
+  const [match, setMatch] = useState({ ev: null, serve: null });
+
+  useEffect(() => {
+    if (id == null) {
+      console.warn("Overlay: mangler ?event");
+      return undefined;
+    }
+
+    // Meldes én gang, når første svar er lastet, ikke for hver poll
+    let warned = false;
+
+    function apply(ev) {
+      setMatch(prev => ({ ev: ev, serve: advanceServe(prev.serve, ev) }));
+    }
+
+    function applyList(list) {
+      const ev = list.find(x => sameId(x.id, id));
+      if (ev) apply(ev);
+      else if (!warned) {
+        console.warn("Overlay: fant ikke kamp", id);
+        warned = true;
+      }
+    }
+
+    let poll = null;
+    let controller = null;
+
+    async function load() {
+      if (controller) controller.abort();
+      controller = new AbortController();
+      try {
+        applyList((await fetchLive(controller.signal)).events);
+      } catch (e) {
+        if (String(e && e.name) === "AbortError") return;
+        console.warn("Feil ved henting av live:", e);
+      }
+    }
+
+    function startPolling() {
+      if (poll) return;
+      load();
+      poll = setInterval(load, POLL_MS);
+    }
+
+    function stopPolling() {
+      if (poll) clearInterval(poll);
+      poll = null;
+      if (controller) controller.abort();
+    }
+
+    startPolling();
+
+    let closeStream = null;
+    if (typeof window.EventSource === "function") {
+      closeStream = connectLiveStream({
+        onOpen: stopPolling,
+        onDown: startPolling,
+        onSnapshot: applyList,
+        onUpdate: (ev) => { if (sameId(ev.id, id)) apply(ev); },
+        onRemove: () => {},
+      });
+    }
+
+    return () => {
+      if (closeStream) closeStream();
+      stopPolling();
+    };
+  }, [id]);
+
+  return match;
+}
+
+// Tallet får ny key når det endres, så CSS-animasjonen kjøres på nytt
+function BugNumber({ value, className }) {
+  return (
+    <span className={className}>
+      <span key={String(value)} className="bugRoll">{value}</span>
+    </span>
+  );
+}
+
+function BugTeam({ ev, side, format, sets, points, history, serving, inferred, flag }) {
+  return (
+    <div className={"bugTeam " + side}>
+      <span className="bugStripe" />
+      {OVERLAY.logos && !format.pairs && (
+        <span className="bugLogo"><LogoImg src={teamLogoUrl(side === "home" ? ev.homeId : ev.awayId)} /></span>
+      )}
+      <span className="bugName">{side === "home" ? ev.homeName : ev.awayName}</span>
+      {flag && <span className="bugFlag">{flag}</span>}
+      <span className={"bugServe" + (serving ? " on" : "") + (inferred ? " inferred" : "")} aria-hidden="true">🏐</span>
+      {history.length > 0 && (
+        <span className="bugHistory">
+          {history.map((s, i) => <span key={i}>{s[side]}</span>)}
+        </span>
+      )}
+      <BugNumber className="bugSets" value={sets} />
+      {points != null && <BugNumber className="bugPoints" value={points} />}
+    </div>
+  );
+}
+
+function Scorebug({ ev, serve }) {
+  useLocale();
+  const format = ev.format;
+  const p = currentPoints(ev);
+  const state = matchState(ev.sets, format);
+  const serveInfo = isLiveStatus(ev.statusType) ? serveInfoFor(serve, ev) : null;
+
+  function flagFor(side) {
+    if (state.matchPoint === side) return t("overlay.matchPoint");
+    if (state.setPoint === side) return t("overlay.setPoint");
+    return null;
+  }
+
+  const finished = !!state.winner || liveLabel(ev.statusType) === "SLUTT";
+
+  let status = null;
+  if (finished) status = t("status.SLUTT");
+  else if (p.setNo) status = state.isTieBreak ? t("card.tieBreak") : t("set.n", { n: p.setNo });
+
+  // Ferdige sett; etter kampslutt alle settene og ingen poeng i "inneværende" sett
+  const history = OVERLAY.history
+    ? ev.sets.filter((s, i) => s && (finished || i + 1 < p.setNo))
+    : [];
+
+  return (
+    <div className={"scorebug " + OVERLAY.layout}>
+      {["home", "away"].map(side => (
+        <BugTeam
+          key={side}
+          ev={ev}
+          side={side}
+          format={format}
+          sets={side === "home" ? (ev.homeSets ?? state.setsHome) : (ev.awaySets ?? state.setsAway)}
+          points={finished ? null : (p[side] ?? 0)}
+          history={history}
+          serving={!!serveInfo && serveInfo.side === side}
+          inferred={!!serveInfo && serveInfo.side === side && serveInfo.confidence === "medium"}
+          flag={flagFor(side)}
+        />
+      ))}
+      {status && <div className="bugStatus">{status}</div>}
+    </div>
+  );
+}
+
+function OverlayApp() {
+  const { ev, serve } = useOverlayEvent(OVERLAY.event);
+
+  // Ingenting synlig på strømmen før vi har kampen (useOverlayEvent melder hvorfor)
+  if (!ev) return null;
+  return <Scorebug ev={ev} serve={serve} />;
+}
+
+(function () {
+  const root = document.documentElement;
+  root.style.setProperty("--bug-home", OVERLAY.colors.home);
+  root.style.setProperty("--bug-away", OVERLAY.colors.away);
+  root.style.setProperty("--bug-bg", OVERLAY.colors.bg);
+  root.style.setProperty("--bug-fg", OVERLAY.colors.fg);
+  root.style.setProperty("--bug-accent", OVERLAY.colors.accent);
+  root.style.setProperty("--bug-scale", String(OVERLAY.scale));
+  document.body.classList.add("pos-" + OVERLAY.position);
+  if (OVERLAY.lang) setLocale(OVERLAY.lang, { persist: false });
+  applyDocumentLocale();
+})();
+
+ReactDOM.createRoot(document.getElementById("scorebug-root")).render(<OverlayApp />);
@@ -0,0 +1,159 @@
+/* ===========================
+   Referansedata: lag og spillere
+   =========================== */
+
+// Lastes etter api.js og før live.js. Rene funksjoner uten React, som replay.js;
+// useReferenceList i live.js bruker dem. Testes i test/refdata.test.js.
+//
+// Lag og spillere endres sjelden. Lista lagres i IndexedDB og vises derfra med
+// en gang; er den eldre enn REFDATA_TTL_MS (eller ufullstendig) hentes den på
+// nytt i bakgrunnen. Uten IndexedDB (privat modus, jsdom) hentes den bare.
+
+const REFDATA_DB = "volley";
+const REFDATA_STORE = "reference";
+// Økes når modellen fra normalizeTeam/normalizePlayer endres, så gamle lister forkastes
+const REFDATA_VERSION = 1;
+const REFDATA_TTL_MS = 6 * 60 * 60 * 1000;
+// Ny runde etter feil eller ufullstendig liste
+const REFDATA_RETRY_MS = 5 * 60 * 1000;
+
+const REFERENCE_LISTS = {
+  teams: { path: TEAMS_PATH, fetch: fetchTeams },
+  players: { path: PLAYERS_PATH, fetch: fetchPlayers },
+};
+
+/* ---- IndexedDB ---- */
+
+let refDbPromise = null;
+
+// null når IndexedDB ikke finnes eller ikke kan åpnes
+function openRefDb() {
+  if (!refDbPromise) {
+    refDbPromise = new Promise((resolve) => {
+      if (typeof indexedDB === "undefined") return resolve(null);
+      try {
+        const req = indexedDB.open(REFDATA_DB, 1);
+        req.onupgradeneeded = () => req.result.createObjectStore(REFDATA_STORE);
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => resolve(null);
+        req.onblocked = () => resolve(null);
+      } catch (e) {
+        resolve(null);
+      }
+    });
+  }
+  return refDbPromise;
+}
+
+function idbRequest(db, mode, run) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(REFDATA_STORE, mode);
+    const req = run(tx.objectStore(REFDATA_STORE));
+    tx.oncomplete = () => resolve(req.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+/*
+  Lagret liste per API og sti, så ?api=localhost ikke blandes med produksjon:
+  { version, fetchedAt, complete, items }
+*/
+function referenceKey(kind) {
+  return API_BASE + REFERENCE_LISTS[kind].path;
+}
+
+async function readReference(kind) {
+  try {
+    const db = await openRefDb();
+    if (!db) return null;
+    const entry = await idbRequest(db, "readonly", store => store.get(referenceKey(kind)));
+    if (!entry || entry.version !== REFDATA_VERSION || !Array.isArray(entry.items)) return null;
+    return entry;
+  } catch (e) {
+    console.warn("Kunne ikke lese " + kind + " fra IndexedDB:", e);
+    return null;
+  }
+}
+
+async function writeReference(kind, entry) {
+  try {
+    const db = await openRefDb();
+    if (!db) return;
+    await idbRequest(db, "readwrite", store => store.put({ ...entry, version: REFDATA_VERSION }, referenceKey(kind)));
+  } catch (e) {
+    console.warn("Kunne ikke lagre " + kind + " i IndexedDB:", e);
+  }
+}
+
+/* ---- Lasting ---- */
+
+/*
+  Status for én liste, som App og Hub viser:
+  {
+    items      lag eller spillere (modellen fra api.js)
+    complete   false mens sidene hentes uten noe lagret, og når hentingen
+               stoppet før slutten (feil, eller fetchAllPages ga opp)
+    loading    henter nå, også i bakgrunnen bak en gyldig lagret liste
+    fetchedAt  ms da lista sist ble hentet | null
+    error      feilmelding fra siste henting | ""
+  }
+*/
+const EMPTY_REFERENCE = { items: [], complete: false, loading: true, fetchedAt: null, error: "" };
+
+function isReferenceFresh(entry, now) {
+  return !!entry && entry.complete && now - entry.fetchedAt < REFDATA_TTL_MS;
+}
+
+// Når neste runde skal kjøres, i ms fra now
+function referenceRefreshDelay(state, now) {
+  if (!state.complete || state.error) return REFDATA_RETRY_MS;
+  return Math.max(REFDATA_TTL_MS - (now - (state.fetchedAt ?? 0)), REFDATA_RETRY_MS);
+}
+
+/*
+  Lagret liste først, så henting hvis den mangler, er gammel eller ufullstendig.
+  onChange(state) for hver endring; gir siste status tilbake.
+
+  previous er det som vises nå (forrige runde). En liste som vises beholdes til
+  den nye er hentet helt; uten vises sidene etter hvert. En ufullstendig liste
+  tar aldri plassen til en komplett, verken på skjermen eller i IndexedDB.
+*/
+async function loadReferenceList(kind, signal, onChange, previous = EMPTY_REFERENCE, now = Date.now) {
+  let state = { ...previous, loading: true };
+  function emit(patch) {
+    state = { ...state, ...patch };
+    onChange(state);
+  }
+
+  const cached = await readReference(kind);
+  if (cached && (cached.complete || !state.complete)) {
+    emit({ items: cached.items, complete: cached.complete, fetchedAt: cached.fetchedAt });
+  }
+  if (isReferenceFresh(state, now())) {
+    emit({ loading: false });
+    return state;
+  }
+
+  const showPages = state.items.length === 0;
+  const hadComplete = state.complete;
+  try {
+    const result = await REFERENCE_LISTS[kind].fetch(signal, (items) => {
+      if (showPages) emit({ items: items });
+    });
+    if (!result.complete && hadComplete) {
+      // fetchAllPages ga opp: den komplette lista står, ny runde om litt
+      emit({ loading: false, error: "" });
+      return state;
+    }
+    // Fra service workeren uten nett: tidspunktet den ble hentet, ikke nå
+    const fetchedAt = result.staleSince ?? now();
+    emit({ items: result.items, complete: result.complete, loading: false, fetchedAt: fetchedAt, error: "" });
+    await writeReference(kind, { fetchedAt: fetchedAt, complete: result.complete, items: result.items });
+  } catch (e) {
+    if (String(e && e.name) === "AbortError") throw e;
+    console.warn("Feil ved henting av " + kind + ":", e);
+    emit({ loading: false, error: String((e && e.message) ? e.message : e) });
+  }
+  return state;
+}
@@ -0,0 +1,185 @@
+/* ===========================
+   Opptak og avspilling av /live
+   =========================== */
+
+// Lastes etter api.js og før live.js. Rene funksjoner uten React, som stats.js;
+// App i live.js kobler dem til loadLive. Testes i test/replay.test.js.
+
+/*
+  Settes i adressen, som ?kiosk:
+
+  ?record                 tar opp hvert /live-svar; strømmen slås av, så alle
+                          oppdateringer kommer som /live-svar. Lastes ned som fil.
+  ?replay=opptak.json     spiller av et opptak i stedet for API-et (adresse
+                          relativt til siden, f.eks. dev/fixtures/session.json)
+  ?replay                 velg opptaksfil selv
+  &speed=4                avspillingsfart (standard 1 = sanntid)
+
+  Fil: { version: 1, recordedAt, api, frames: [{ t, staleSince, data }] }
+    t     ms etter første svar
+    data  /live-svaret slik det kom, før normalizeEvents, så også feil i
+          normaliseringen kan gjenskapes
+*/
+
+const RECORDING_VERSION = 1;
+const REPLAY_SPEEDS = [1, 4, 16];
+const REPLAY_MAX_SPEED = 100;
+
+function parseSession(search) {
+  const q = new URLSearchParams(search || "");
+  if (q.has("replay")) {
+    const speed = Number(q.get("speed"));
+    return {
+      mode: "replay",
+      src: nonEmpty(q.get("replay")),
+      speed: speed > 0 && speed <= REPLAY_MAX_SPEED ? speed : 1,
+    };
+  }
+  if (q.has("record") && q.get("record") !== "0") return { mode: "record" };
+  return null;
+}
+
+const SESSION = parseSession(window.location.search);
+
+/* ---- Opptak ---- */
+
+// now kan byttes ut i testene
+function createRecorder(now = Date.now) {
+  const frames = [];
+  let startedAt = null;
+
+  return {
+    frames: frames,
+
+    // meta: { data, staleSince } fra fetchJsonMeta
+    add(meta) {
+      const at = now();
+      if (startedAt == null) startedAt = at;
+      frames.push({ t: at - startedAt, staleSince: meta.staleSince ?? null, data: meta.data });
+    },
+
+    toJSON() {
+      return {
+        version: RECORDING_VERSION,
+        recordedAt: startedAt != null ? new Date(startedAt).toISOString() : null,
+        api: API_BASE,
+        frames: frames,
+      };
+    },
+  };
+}
+
+// fetchLive som også legger svaret i opptaket
+function recordingFetchLive(recorder) {
+  return async function (signal) {
+    const meta = await fetchJsonMeta(LIVE_PATH, signal);
+    recorder.add(meta);
+    return { events: normalizeEvents(meta.data), staleSince: meta.staleSince };
+  };
+}
+
+function recordingFileName(recording) {
+  const at = recording.recordedAt || new Date().toISOString();
+  return "live-" + at.slice(0, 19).replace(/[:T]/g, "-") + ".json";
+}
+
+function downloadRecording(recorder) {
+  const recording = recorder.toJSON();
+  const blob = new Blob([JSON.stringify(recording)], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = recordingFileName(recording);
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
+/* ---- Avspilling ---- */
+
+// Opptaksfil -> { recordedAt, frames }; kaster ApiDataError hvis filen ikke kan spilles av.
+// Radene i data sjekkes ikke her, de går gjennom normalizeEvents som vanlig.
+function parseRecording(data) {
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    throw apiDataError("opptaket", "forventet et objekt");
+  }
+  if (data.version !== RECORDING_VERSION) {
+    throw apiDataError("opptaket", "ukjent versjon " + String(data.version));
+  }
+  const frames = listFrom(data.frames, "opptaket.frames");
+  if (!frames.length) throw apiDataError("opptaket", "ingen svar i opptaket");
+
+  let prev = 0;
+  return {
+    recordedAt: nonEmpty(data.recordedAt),
+    frames: frames.map((f, i) => {
+      const where = "opptaket.frames[" + i + "]";
+      if (!f || typeof f !== "object") throw apiDataError(where, "forventet et objekt");
+      const t = numberField(f, "t", where);
+      if (t == null || t < prev) throw apiDataError(where, "t mangler eller går bakover");
+      prev = t;
+      return { t: t, staleSince: numberField(f, "staleSince", where), data: f.data };
+    }),
+  };
+}
+
+/*
+  Går gjennom opptaket ett svar om gangen. App kaller advance() og så loadLive,
+  som leser current(); delayToNext() er ventetiden før neste svar med gitt fart,
+  eller null når opptaket er slutt.
+*/
+function createReplay(recording) {
+  let index = -1;
+
+  return {
+    length: recording.frames.length,
+    recordedAt: recording.recordedAt,
+    get index() { return index; },
+
+    current() {
+      return index >= 0 ? recording.frames[index] : null;
+    },
+
+    advance() {
+      if (index + 1 >= recording.frames.length) return false;
+      index++;
+      return true;
+    },
+
+    delayToNext(speed) {
+      if (index < 0 || index + 1 >= recording.frames.length) return null;
+      return (recording.frames[index + 1].t - recording.frames[index].t) / (speed || 1);
+    },
+
+    rewind() {
+      index = -1;
+    },
+  };
+}
+
+// fetchLive som gir svaret avspillingen står på (tom liste før opptaket er lastet)
+function replayFetchLive(replay) {
+  return async function () {
+    const frame = replay ? replay.current() : null;
+    if (!frame) return { events: [], staleSince: null };
+    return { events: normalizeEvents(frame.data, "opptaket"), staleSince: frame.staleSince };
+  };
+}
+
+// Opptak fra adressen i ?replay=; relativ til siden
+async function fetchRecording(src, signal) {
+  const res = await fetch(src, { signal: signal, cache: "no-store" });
+  if (!res.ok) throw new Error(String(res.status) + " " + String(res.statusText));
+  return parseRecording(await res.json());
+}
+
+async function readRecordingFile(file) {
+  let data;
+  try {
+    data = JSON.parse(await file.text());
+  } catch (e) {
+    throw apiDataError("opptaket", "filen er ikke gyldig JSON");
+  }
+  return parseRecording(data);
+}
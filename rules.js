@@ -0,0 +1,229 @@
+/* ===========================
+   Volleyball-regler
+   =========================== */
+
+// Lastes før live.js. Rene funksjoner uten React, slik at de kan brukes av
+// alle visninger (og testes uten nettleser).
+
+const MATCH_FORMATS = {
+  // Innendørs, best av fem: 25 poeng, femte sett til 15
+  indoor: { key: "indoor", bestOf: 5, setPoints: 25, decidingSetPoints: 15, margin: 2 },
+  // Innendørs, best av tre (enkelte cuper og turneringer)
+  indoorBo3: { key: "indoorBo3", bestOf: 3, setPoints: 25, decidingSetPoints: 15, margin: 2 },
+  // Golden set etter to oppgjør med lik sammenlagt. Velges per kamp ut fra
+  // rundenavnet (stage.goldenSet i normalizeEvent), aldri fra turneringsnavnet
+  goldenSet: { key: "goldenSet", bestOf: 1, setPoints: 15, decidingSetPoints: 15, margin: 2 },
+  // Sandvolleyball: par, best av tre, 21 poeng, tredje sett til 15
+  beach: { key: "beach", bestOf: 3, setPoints: 21, decidingSetPoints: 15, margin: 2, pairs: true },
+};
+
+// Første treff på sport + turneringsnavn + sesong vinner; ellers indoor
+const FORMAT_RULES = [
+  { pattern: /beach|sandvolleyball/i, format: "beach" },
+  // Innendørs best av tre står i turneringsnavnet ("Best of 3", "Bo3", "beste av tre")
+  { pattern: /best[\s-]*of[\s-]*(3|three)\b|\bbo3\b|beste\s+av\s+(3|tre)\b/i, format: "indoorBo3" },
+];
+
+function resolveFormat(competitionText) {
+  const text = String(competitionText || "");
+  for (let i = 0; i < FORMAT_RULES.length; i++) {
+    if (FORMAT_RULES[i].pattern.test(text)) return MATCH_FORMATS[FORMAT_RULES[i].format];
+  }
+  return MATCH_FORMATS.indoor;
+}
+
+function setsToWin(format) {
+  return Math.ceil(format.bestOf / 2);
+}
+
+function setTarget(setNo, format) {
+  return setNo === format.bestOf ? format.decidingSetPoints : format.setPoints;
+}
+
+function setWinner(home, away, setNo, format) {
+  const target = setTarget(setNo, format);
+  if (home >= target && home - away >= format.margin) return "home";
+  if (away >= target && away - home >= format.margin) return "away";
+  return null;
+}
+
+// Vinner settet hvis den siden tar neste poeng?
+function hasSetPoint(mine, theirs, setNo, format) {
+  return mine + 1 >= setTarget(setNo, format) && mine + 1 - theirs >= format.margin;
+}
+
+/*
+  sets: [{ home, away }, ...] der indeks 0 er 1. sett. Sett som ikke er
+  startet er null eller mangler.
+
+  Gir settstilling, vinner, inneværende sett og press-situasjonen i det:
+  setPoint / matchPoint er siden som kan avgjøre med neste poeng.
+*/
+function matchState(sets, format) {
+  const need = setsToWin(format);
+  let setsHome = 0;
+  let setsAway = 0;
+  let current = null;
+
+  for (let i = 0; i < format.bestOf; i++) {
+    const s = sets[i];
+    if (!s) break;
+
+    const home = Number(s.home ?? 0);
+    const away = Number(s.away ?? 0);
+    const won = setWinner(home, away, i + 1, format);
+
+    if (won === "home") setsHome++;
+    else if (won === "away") setsAway++;
+    else {
+      current = { setNo: i + 1, home: home, away: away };
+      break;
+    }
+
+    if (setsHome === need || setsAway === need) break;
+  }
+
+  const winner = setsHome === need ? "home" : (setsAway === need ? "away" : null);
+
+  const state = {
+    setsHome: setsHome,
+    setsAway: setsAway,
+    winner: winner,
+    setNo: winner ? null : (current ? current.setNo : setsHome + setsAway + 1),
+    isTieBreak: false,
+    deuce: false,
+    setPoint: null,
+    matchPoint: null,
+  };
+
+  if (winner || !current) return state;
+
+  const target = setTarget(current.setNo, format);
+  state.isTieBreak = format.bestOf > 1 && current.setNo === format.bestOf;
+  state.deuce = current.home === current.away && current.home >= target - 1;
+
+  if (hasSetPoint(current.home, current.away, current.setNo, format)) {
+    state.setPoint = "home";
+    if (setsHome + 1 === need) state.matchPoint = "home";
+  } else if (hasSetPoint(current.away, current.home, current.setNo, format)) {
+    state.setPoint = "away";
+    if (setsAway + 1 === need) state.matchPoint = "away";
+  }
+
+  return state;
+}
+
+// Jevnt på slutten av settet: ledende lag er fem poeng eller mindre fra mål og
+// høyst margin poeng foran (dekker deuce og settball i jevne sett). Kioskmodus
+// går i fokus på slike kamper.
+function isTightSet(sets, format, margin) {
+  const state = matchState(sets, format);
+  if (state.winner) return false;
+
+  const cur = sets[state.setNo - 1];
+  if (!cur) return false;
+
+  const home = Number(cur.home ?? 0);
+  const away = Number(cur.away ?? 0);
+  return Math.max(home, away) >= setTarget(state.setNo, format) - 5 && Math.abs(home - away) <= margin;
+}
+
+/* ===========================
+   Serve (tilstandsmaskin)
+   =========================== */
+
+/*
+  Følger stillingen mellom oppdateringer. Laget som vant siste ballveksling
+  server; første serve i et sett går til laget som tok imot i forrige sett
+  (avgjørende sett trekkes, så der vet vi det ikke uten firstToServe).
+
+  snap: { setNo, home, away, runHome, runAway, firstToServe }
+    home/away er poengene i inneværende sett, run* er backendens poeng på rad
+    (den med run > 0 scoret sist) og firstToServe "home"/"away" i 1. sett.
+
+  Tilstand: { setNo, home, away, server, confidence, run, firstServer, rotations, exact }
+    confidence  "high"   sett ett enkelt lag score siden sist
+                "medium" fra backendens run eller regelen for første serve
+                "low"    vet ikke (server er null)
+    run         poeng på rad for laget som server
+    rotations   side-outs vunnet i settet per lag (= antall rotasjoner)
+    exact       hvert poeng i settet er fulgt, så rotations stemmer
+*/
+
+function otherSide(side) {
+  return side === "home" ? "away" : "home";
+}
+
+function firstServerOfSet(firstServer, setNo, format) {
+  if (firstServer[setNo]) return firstServer[setNo];
+  const deciding = format.bestOf > 1 && setNo === format.bestOf;
+  const prev = firstServer[setNo - 1];
+  return prev && !deciding ? otherSide(prev) : null;
+}
+
+function nextServeState(prev, snap, format) {
+  if (!snap.setNo) return prev || null;
+
+  const runSide =
+    snap.runHome > 0 && !snap.runAway ? "home" :
+    snap.runAway > 0 && !snap.runHome ? "away" : null;
+  const runOf = (side) => (side === "home" ? snap.runHome : snap.runAway) || 0;
+
+  const firstServer = { ...(prev ? prev.firstServer : null) };
+  if (snap.firstToServe && !firstServer[1]) firstServer[1] = snap.firstToServe;
+
+  let base = prev;
+  if (!prev || prev.setNo !== snap.setNo) {
+    // Nytt sett (eller første gang vi ser kampen): start fra 0-0
+    const starter = firstServerOfSet(firstServer, snap.setNo, format);
+    if (starter) firstServer[snap.setNo] = starter;
+    base = {
+      setNo: snap.setNo,
+      home: 0,
+      away: 0,
+      server: starter,
+      confidence: starter ? "medium" : "low",
+      run: 0,
+      rotations: { home: 0, away: 0 },
+      exact: true,
+    };
+  }
+
+  const dh = snap.home - base.home;
+  const da = snap.away - base.away;
+  const next = { ...base, home: snap.home, away: snap.away, firstServer: firstServer };
+
+  if (dh === 0 && da === 0) {
+    if (!next.server && runSide) {
+      next.server = runSide;
+      next.confidence = "medium";
+      next.run = runOf(runSide);
+    }
+    return next;
+  }
+
+  // Ett lag scoret: det laget server nå
+  if (dh >= 0 && da >= 0 && (dh === 0) !== (da === 0)) {
+    const scorer = dh > 0 ? "home" : "away";
+    const points = dh || da;
+
+    if (!base.server) {
+      next.exact = false;
+    } else if (base.server !== scorer) {
+      next.rotations = { ...base.rotations, [scorer]: base.rotations[scorer] + 1 };
+    }
+
+    next.run = (base.server === scorer ? base.run : 0) + points;
+    next.server = scorer;
+    next.confidence = "high";
+    return next;
+  }
+
+  // Begge scoret mellom oppdateringene, eller stillingen ble rettet:
+  // bare backendens run kan si hvem som vant siste ballveksling
+  next.exact = false;
+  next.server = runSide;
+  next.confidence = runSide ? "medium" : "low";
+  next.run = runSide ? runOf(runSide) : 0;
+  return next;
+}
@@ -0,0 +1,135 @@
+/* ===========================
+   Søk (kamper, lag, spillere)
+   =========================== */
+
+// Lastes før live.js. Rene funksjoner uten React, som stats.js; GlobalSearch i
+// live.js bygger oppføringene og viser treffene. Testes i test/search.test.js.
+
+const SEARCH_LIMIT = 12;
+// Andre felt (turnering, land, liga, lag) teller mindre enn navnene
+const SEARCH_EXTRA_WEIGHT = 0.6;
+// Rekkefølge ved lik poengsum
+const SEARCH_KINDS = ["match", "team", "player"];
+
+/*
+  Små bokstaver uten aksenter, og æ/ø/å skrevet slik folk gjør på et tastatur
+  uten dem: "Bærum" -> "baerum", "Tromsø" -> "tromso", "Ålesund" og
+  "Aalesund" -> "alesund". Alt som ikke er bokstaver eller tall blir mellomrom.
+*/
+function foldText(s) {
+  return String(s ?? "")
+    .toLowerCase()
+    .replace(/æ/g, "ae")
+    .replace(/[øö]/g, "o")
+    .replace(/å/g, "a")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/aa/g, "a")
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+}
+
+// Levenshtein med tak: gir max + 1 så snart avstanden er større enn max
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let best = i;
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      if (cur[j] < best) best = cur[j];
+    }
+    if (best > max) return max + 1;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+/*
+  Hvor godt ett søkeord passer én foldet tekst, 0 = ikke i det hele tatt:
+    100  helt ord          "forde" i "forde vbk"
+     80  starten av et ord "rand" i "randaberg il"
+     60  inni teksten      "aberg"
+     40  skrivefeil        ett tegn feil (to fra åtte tegn) mot et ord eller starten av det
+     10  bokstavene i rekkefølge i ett ord, tett nok ("prg" i "perugia")
+*/
+function matchScore(token, text) {
+  if (!token || !text) return 0;
+  const words = text.split(" ");
+  if (words.includes(token)) return 100;
+  if (words.some(w => w.startsWith(token))) return 80;
+  if (text.includes(token)) return 60;
+
+  if (token.length >= 4) {
+    const max = token.length >= 8 ? 2 : 1;
+    const close = words.some(w =>
+      editDistance(token, w, max) <= max ||
+      (w.length > token.length && editDistance(token, w.slice(0, token.length), max) <= max)
+    );
+    if (close) return 40;
+  }
+
+  if (token.length >= 3 && words.some(w => isCompactSubsequence(token, w))) return 10;
+  return 0;
+}
+
+function isCompactSubsequence(token, word) {
+  let start = -1;
+  let at = -1;
+  for (const ch of token) {
+    at = word.indexOf(ch, at + 1);
+    if (at === -1) return false;
+    if (start === -1) start = at;
+  }
+  return at - start + 1 <= token.length * 2;
+}
+
+/*
+  Én ting som kan søkes fram:
+  { kind: "match" | "team" | "player", id, title, subtitle, target,
+    names: [foldet], extra: [foldet] }
+  target er det GlobalSearch åpner (kampen, laget eller spilleren).
+*/
+function searchEntry(kind, id, title, subtitle, target, names, extra) {
+  return {
+    kind: kind,
+    id: id,
+    title: title,
+    subtitle: subtitle,
+    target: target,
+    names: names.map(foldText).filter(Boolean),
+    extra: (extra || []).map(foldText).filter(Boolean),
+  };
+}
+
+function entryScore(entry, tokens) {
+  let total = 0;
+  for (const token of tokens) {
+    let best = 0;
+    for (const text of entry.names) best = Math.max(best, matchScore(token, text));
+    for (const text of entry.extra) best = Math.max(best, matchScore(token, text) * SEARCH_EXTRA_WEIGHT);
+    // Alle ordene i søket må treffe noe
+    if (!best) return 0;
+    total += best;
+  }
+  return total;
+}
+
+// -> [{ entry, score }], beste først
+function searchEntries(entries, query, limit = SEARCH_LIMIT) {
+  const tokens = foldText(query).split(" ").filter(Boolean);
+  if (!tokens.length) return [];
+
+  const hits = [];
+  for (const entry of entries) {
+    const score = entryScore(entry, tokens);
+    if (score > 0) hits.push({ entry: entry, score: score });
+  }
+  hits.sort((a, b) =>
+    (b.score - a.score) ||
+    (SEARCH_KINDS.indexOf(a.entry.kind) - SEARCH_KINDS.indexOf(b.entry.kind)) ||
+    a.entry.title.localeCompare(b.entry.title, "nb")
+  );
+  return hits.slice(0, limit);
+}
@@ -0,0 +1,133 @@
+/* ===========================
+   Turneringsfase
+   =========================== */
+
+// Lastes før live.js. Rene funksjoner uten React, som rules.js, og testes i
+// test/stages.test.js. Teksten som vises lages av stageLabel i live.js.
+
+// Faser som regnes som sluttspill (filteret "Bare sluttspill")
+const PLAYOFF_KINDS = ["playoff", "roundOf", "quarter", "semi", "bronze", "final"];
+
+const GROUP_PATTERN = /\b(?:group|pool|gruppe|pulje)\s+([a-z]{1,2}|\d{1,2})\b/;
+
+function firstNumber(m) {
+  if (!m) return null;
+  for (let i = 1; i < m.length; i++) {
+    if (m[i] != null) return Number(m[i]);
+  }
+  return null;
+}
+
+/*
+  input:
+    roundName       Sofascore roundInfo.name / round_name ("Quarterfinals", "Round 5", "1/8-final")
+    round           roundInfo.round (tall)
+    tournament      turneringsnavnet; Sofascore legger ofte gruppen her ("Champions League, Pool B")
+    group           group_type fra /live
+    hasPreviousLeg  kampen er returkamp (previousLegEventId)
+    aggregate       { home, away } sammenlagt etter forrige kamp, eller null
+
+  Gir null uten noe å gå etter, ellers:
+    kind       "regular" | "group" | "roundOf" | "quarter" | "semi" | "bronze" | "final" | "playoff" | "other"
+    group      gruppebokstav/-nummer ("A"), eller null
+    roundOf    antall lag i runden (16, 32 ...) for kind "roundOf"
+    round      runde i serie- eller gruppespill
+    leg        1 | 2 | null
+    aggregate  { home, away } | null
+    goldenSet  kampen er (eller avgjøres med) golden set, ut fra rundenavnet
+    playoff    kind er en sluttspillfase
+    raw        rundenavnet slik det kom
+*/
+function parseStage(input) {
+  const raw = String(input.roundName || "").trim();
+  const s = raw.toLowerCase();
+  const tournament = String(input.tournament || "").toLowerCase();
+  const roundNo = input.round != null && Number.isFinite(Number(input.round)) ? Number(input.round) : null;
+
+  const stage = {
+    kind: null,
+    group: null,
+    roundOf: null,
+    round: null,
+    leg: null,
+    aggregate: null,
+    // Bare rundenavnet: "CEV Cup, Golden Set" i turneringsnavnet gjelder ikke alle kampene
+    goldenSet: /golden\s*set/.test(s),
+    playoff: false,
+    raw: raw || null,
+  };
+
+  // "1/2-final", "1/8 finals": brøken sier hvor mange kamper runden har
+  const frac = s.match(/\b1\s*\/\s*(\d+)/);
+
+  if (/bronze|bronse|3rd place|third place|3\.\s*plass/.test(s)) {
+    stage.kind = "bronze";
+  } else if (/semi/.test(s) || (frac && frac[1] === "2")) {
+    stage.kind = "semi";
+  } else if (/quarter|kvart/.test(s) || (frac && frac[1] === "4")) {
+    stage.kind = "quarter";
+  } else if (frac) {
+    stage.kind = "roundOf";
+    stage.roundOf = Number(frac[1]) * 2;
+  } else if (/round of (\d+)|last (\d+)/.test(s)) {
+    stage.kind = "roundOf";
+    stage.roundOf = firstNumber(s.match(/round of (\d+)|last (\d+)/));
+  } else if (/eighth|åttendedel/.test(s)) {
+    stage.kind = "roundOf";
+    stage.roundOf = 16;
+  } else if (/sixteenth|sekstendedel/.test(s)) {
+    stage.kind = "roundOf";
+    stage.roundOf = 32;
+  } else if (/final/.test(s)) {
+    stage.kind = "final";
+  } else if (/play-?offs?|sluttspill|knock-?out|elimination/.test(s)) {
+    stage.kind = "playoff";
+  }
+
+  // "Round of 8" er kvartfinale osv.
+  if (stage.kind === "roundOf") {
+    const named = { 8: "quarter", 4: "semi", 2: "final" }[stage.roundOf];
+    if (named) {
+      stage.kind = named;
+      stage.roundOf = null;
+    }
+  }
+
+  // Gruppe: group_type fra /live ("B", "Group B"), ellers runde- eller turneringsnavnet
+  const groupField = String(input.group || "").trim().toLowerCase();
+  const groupMatch =
+    groupField.match(/^([a-z]{1,2}|\d{1,2})$/) ||
+    groupField.match(GROUP_PATTERN) ||
+    s.match(GROUP_PATTERN) ||
+    tournament.match(GROUP_PATTERN);
+  if (groupMatch) stage.group = groupMatch[1].toUpperCase();
+
+  if (!stage.kind && (stage.group || /group stage|gruppespill/.test(s + " " + groupField))) {
+    stage.kind = "group";
+  }
+
+  // Rundenummer i serie- og gruppespill
+  const roundMatch = s.match(/\bround\s+(\d+)|\brunde\s+(\d+)|\bmatchday\s+(\d+)|^(\d+)$/);
+  if (!stage.kind && (roundMatch || /regular|seriespill|grunnserie/.test(s) || (!raw && roundNo != null))) {
+    stage.kind = "regular";
+  }
+  if (stage.kind === "regular" || stage.kind === "group") {
+    stage.round = firstNumber(roundMatch) ?? roundNo;
+  }
+
+  if (/(1st|first)\s+leg|\bleg\s*1\b|1\.\s*kamp/.test(s)) stage.leg = 1;
+  else if (/(2nd|second)\s+leg|\bleg\s*2\b|retur/.test(s) || input.hasPreviousLeg) stage.leg = 2;
+
+  const agg = input.aggregate;
+  if (agg && agg.home != null && agg.away != null) {
+    stage.aggregate = { home: Number(agg.home), away: Number(agg.away) };
+  }
+
+  // Dobbeltmøter og golden set hører til utslagsrunder
+  if (!stage.kind && (stage.goldenSet || stage.leg)) stage.kind = "playoff";
+  if (!stage.kind && raw) stage.kind = "other";
+  if (!stage.kind) return null;
+
+  stage.playoff = PLAYOFF_KINDS.includes(stage.kind);
+  return stage;
+}
@@ -0,0 +1,111 @@
+/* ===========================
+   Kampstatistikk
+   =========================== */
+
+// Lastes før live.js. Rene funksjoner uten React, som rules.js og stages.js, og
+// testes i test/stats.test.js. Regner på tidslinjen fra appendTimeline i live.js.
+
+// Så mange poeng bak før ledelse regnes som comeback
+const COMEBACK_MIN = 3;
+
+function emptyTeamStats() {
+  return {
+    tracked: 0,
+    longestRun: 0,
+    sideOuts: 0,
+    breakPoints: 0,
+    sideOutPct: null,
+    breakPointPct: null,
+    biggestLead: 0,
+    comebacks: 0,
+  };
+}
+
+/*
+  points   tidslinjen: { set, home, away, side, approx }, der side === null er
+           et utgangspunkt og approx betyr at rekkefølgen i oppdateringen er gjettet
+  options  set          bare dette settet (null/utelatt = hele kampen)
+           firstServer  { [setNo]: "home" | "away" } fra serve-tilstanden, så
+                        første poeng i settet også kan klassifiseres
+
+  Et poeng er break-point når laget som scoret også serverte (scoret forrige
+  ballveksling), ellers side-out – samme inndeling som scoreSignals i live.js.
+  Poeng med gjettet rekkefølge telles ikke i run eller side-out/break-point.
+
+  Gir { tracked, home, away }:
+    longestRun     flest poeng på rad i ett sett
+    sideOuts       poeng vunnet på motstanderens serve
+    breakPoints    poeng vunnet på egen serve
+    sideOutPct     andel vunnet av ballvekslinger der motstanderen serverte (0–1)
+    breakPointPct  andel vunnet av ballvekslinger på egen serve (0–1)
+    biggestLead    største ledelse i et sett
+    comebacks      sett der laget tok ledelsen etter å ha ligget COMEBACK_MIN bak
+*/
+function matchStats(points, options) {
+  const opts = options || {};
+  const only = opts.set ?? null;
+  const firstServer = opts.firstServer || {};
+
+  const stats = { tracked: 0, home: emptyTeamStats(), away: emptyTeamStats() };
+
+  let prev = null;
+  let run = null;
+  let deficit = { home: 0, away: 0 };
+
+  for (const p of points || []) {
+    if (!prev || prev.set !== p.set) {
+      run = null;
+      deficit = { home: 0, away: 0 };
+    }
+
+    if (only != null && p.set !== only) {
+      prev = p;
+      continue;
+    }
+
+    if (p.side) {
+      const side = p.side;
+      const team = stats[side];
+      stats.tracked++;
+      team.tracked++;
+
+      if (p.approx) {
+        run = null;
+      } else {
+        run = run && run.side === side ? { side: side, n: run.n + 1 } : { side: side, n: 1 };
+        team.longestRun = Math.max(team.longestRun, run.n);
+
+        // Forrige poeng i settet avgjør hvem som serverte
+        let server = null;
+        if (prev && prev.set === p.set) server = prev.side;
+        else if (p.home + p.away === 1) server = firstServer[p.set] || null;
+
+        if (server === side) team.breakPoints++;
+        else if (server) team.sideOuts++;
+      }
+    }
+
+    const lead = p.home - p.away;
+    stats.home.biggestLead = Math.max(stats.home.biggestLead, lead);
+    stats.away.biggestLead = Math.max(stats.away.biggestLead, -lead);
+
+    for (const side of ["home", "away"]) {
+      const margin = side === "home" ? lead : -lead;
+      deficit[side] = Math.max(deficit[side], -margin);
+      if (margin > 0 && deficit[side] >= COMEBACK_MIN) {
+        stats[side].comebacks++;
+        deficit[side] = 0;
+      }
+    }
+
+    prev = p;
+  }
+
+  const pct = (won, lost) => (won + lost > 0 ? won / (won + lost) : null);
+  stats.home.sideOutPct = pct(stats.home.sideOuts, stats.away.breakPoints);
+  stats.away.sideOutPct = pct(stats.away.sideOuts, stats.home.breakPoints);
+  stats.home.breakPointPct = pct(stats.home.breakPoints, stats.away.sideOuts);
+  stats.away.breakPointPct = pct(stats.away.breakPoints, stats.home.sideOuts);
+
+  return stats;
+}
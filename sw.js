@@ -0,0 +1,165 @@
+/* ===========================
+   Service worker (offline)
+   =========================== */
+
+// Appskall og referansedata hentes fra nett først og lagres; uten nett (eller
+// med feil fra API-et) svarer vi med siste lagrede kopi og merker den med
+// X-Volley-Offline (tidspunkt i ms), slik at appen kan vise "sist oppdatert".
+// Logoer og spillerbilder hentes fra cache først.
+
+const CACHE_VERSION = "v1";
+const SHELL_CACHE = "volley-shell-" + CACHE_VERSION;
+const DATA_CACHE = "volley-data-" + CACHE_VERSION;
+const IMG_CACHE = "volley-img-" + CACHE_VERSION;
+const IMG_CACHE_MAX = 400;
+
+const SHELL_FILES = [
+  "./",
+  "index.html",
+  "i18n.js",
+  "countries.js",
+  "stages.js",
+  "rules.js",
+  "stats.js",
+  "api.js",
+  "replay.js",
+  "refdata.js",
+  "search.js",
+  "live.js",
+  "hub.js",
+  "manifest.webmanifest",
+  "icon.svg",
+];
+
+const DATA_PATHS = ["/live", "/teams", "/players"];
+
+// index.html registrerer med ?api=<volley-api>, så datakallene kjennes igjen på
+// stien etter API-basen også når den har en sti (https://example.no/api).
+// Stien alene gjelder fortsatt for ?api=localhost og uten konfigurert base.
+const API_BASE_PATH = apiBasePath(new URL(self.location.href).searchParams.get("api"));
+
+function apiBasePath(base) {
+  try {
+    return new URL(base).pathname.replace(/\/+$/, "");
+  } catch (e) {
+    return "";
+  }
+}
+
+function isDataRequest(url) {
+  const prefixes = API_BASE_PATH ? [API_BASE_PATH, ""] : [""];
+  return prefixes.some(prefix =>
+    url.pathname.startsWith(prefix) && DATA_PATHS.includes(url.pathname.slice(prefix.length))
+  );
+}
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(SHELL_FILES))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys
+          .filter(k => k.startsWith("volley-") && !k.endsWith("-" + CACHE_VERSION))
+          .map(k => caches.delete(k))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const req = event.request;
+  if (req.method !== "GET") return;
+
+  const url = new URL(req.url);
+
+  // Strømmen går alltid rett på nett
+  if (url.pathname.endsWith("/live/stream")) return;
+
+  if (url.pathname.includes("/img/")) {
+    event.respondWith(cacheFirstImage(req));
+    return;
+  }
+
+  if (isDataRequest(url)) {
+    event.respondWith(networkFirstData(req));
+    return;
+  }
+
+  if (url.origin === self.location.origin || url.hostname === "unpkg.com") {
+    event.respondWith(networkFirst(req, SHELL_CACHE));
+  }
+});
+
+async function networkFirst(req, cacheName) {
+  const cache = await caches.open(cacheName);
+  try {
+    const res = await fetch(req);
+    // React/Babel fra unpkg lastes som no-cors og gir opaque svar
+    if (res.ok || res.type === "opaque") cache.put(req, res.clone());
+    return res;
+  } catch (e) {
+    const cached = await cache.match(req, { ignoreSearch: req.mode === "navigate" });
+    if (cached) return cached;
+    throw e;
+  }
+}
+
+// Lagrer med tidspunkt, og svarer fra cache merket X-Volley-Offline uten nett.
+// Et svar som ikke er ok (5xx, 404 ...) behandles som nettfeil; uten lagret
+// kopi får appen det opprinnelige svaret.
+async function networkFirstData(req) {
+  const cache = await caches.open(DATA_CACHE);
+  let res;
+  try {
+    res = await fetch(req);
+  } catch (e) {
+    const cached = await offlineCopy(cache, req);
+    if (!cached) throw e;
+    return cached;
+  }
+
+  if (!res.ok) return (await offlineCopy(cache, req)) || res;
+
+  const body = await res.clone().blob();
+  const headers = new Headers(res.headers);
+  headers.set("X-Volley-Fetched-At", String(Date.now()));
+  await cache.put(req, new Response(body, { status: 200, headers: headers }));
+  return res;
+}
+
+async function offlineCopy(cache, req) {
+  const cached = await cache.match(req);
+  if (!cached) return null;
+
+  const headers = new Headers(cached.headers);
+  headers.set("X-Volley-Offline", cached.headers.get("X-Volley-Fetched-At") || "0");
+  return new Response(await cached.blob(), { status: 200, headers: headers });
+}
+
+async function cacheFirstImage(req) {
+  const cache = await caches.open(IMG_CACHE);
+  const cached = await cache.match(req);
+  if (cached) return cached;
+
+  const res = await fetch(req);
+  if (res.ok) {
+    await cache.put(req, res.clone());
+    trimCache(cache, IMG_CACHE_MAX);
+  }
+  return res;
+}
+
+// Eldste oppføringer ut først (cache.keys() er i innsettingsrekkefølge)
+async function trimCache(cache, max) {
+  const keys = await cache.keys();
+  for (let i = 0; i < keys.length - max; i++) {
+    await cache.delete(keys[i]);
+  }
+}
@@ -0,0 +1,217 @@
+// Kjøres med: node --test test/
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const warnings = [];
+let fetchStub = null;
+const ctx = vm.createContext({
+  window: { location: { search: "" } },
+  fetch: (url, init) => fetchStub(url, init),
+  URL: URL,
+  URLSearchParams: URLSearchParams,
+  console: { warn: (...args) => warnings.push(args.join(" ")) },
+});
+for (const file of ["stages.js", "rules.js", "api.js"]) {
+  vm.runInContext(fs.readFileSync(path.join(__dirname, "..", file), "utf8"), ctx);
+}
+const { normalizeEvent, normalizeEvents, normalizeTeams, normalizePlayers } = ctx;
+
+function row(extra) {
+  return {
+    event_id: 11,
+    status_type: "inprogress",
+    status_desc: "2nd set",
+    start_ts: 1760000000,
+    home_team_id: 100,
+    away_team_id: "101",
+    home_team_name: "Førde",
+    away_team_name: "Randaberg",
+    home_sets: 1,
+    away_sets: 0,
+    home_p1: 25,
+    away_p1: 20,
+    home_p2: "7",
+    away_p2: 9,
+    tournament_name: "Eliteserien",
+    ...extra,
+  };
+}
+
+test("kampen får sett, id-er og tall", () => {
+  const ev = normalizeEvent(row());
+  assert.equal(ev.id, 11);
+  assert.equal(ev.key, "11");
+  assert.equal(ev.awayId, 101);
+  assert.equal(ev.format.key, "indoor");
+  assert.deepEqual(JSON.parse(JSON.stringify(ev.sets)), [
+    { home: 25, away: 20 },
+    { home: 7, away: 9 },
+    null,
+    null,
+    null,
+  ]);
+  assert.equal(ev.homeRun, 0);
+  assert.equal(ev.newScore, false);
+  assert.equal(ev.tournament, "Eliteserien");
+  assert.equal(ev.season, null);
+});
+
+test("hash endres bare når raden endres", () => {
+  assert.equal(normalizeEvent(row()).hash, normalizeEvent(row()).hash);
+  assert.notEqual(normalizeEvent(row()).hash, normalizeEvent(row({ home_p2: 8 })).hash);
+  assert.notEqual(normalizeEvent(row()).hash, normalizeEvent(row({ raw_json: "{}" })).hash);
+});
+
+test("eldre feltnavn: custom_id og home_teams_id", () => {
+  const ev = normalizeEvent(row({ event_id: null, custom_id: "c-7", home_team_id: null, home_teams_id: 55 }));
+  assert.equal(ev.id, "c-7");
+  assert.equal(ev.homeId, 55);
+});
+
+test("uten id lages nøkkelen av starttid og lag", () => {
+  const ev = normalizeEvent(row({ event_id: null }));
+  assert.equal(ev.id, null);
+  assert.equal(ev.key, "1760000000-Førde-Randaberg");
+});
+
+test("raw_json parses én gang og gir format, fase og første serve", () => {
+  const raw = {
+    tournament: { name: "Beach Pro Tour", category: { sport: { slug: "beach-volley" } } },
+    roundInfo: { name: "Semifinal" },
+    firstToServe: 2,
+  };
+  const ev = normalizeEvent(row({ tournament_name: null, raw_json: JSON.stringify(raw) }));
+  assert.equal(ev.tournament, "Beach Pro Tour");
+  assert.equal(ev.format.key, "beach");
+  assert.equal(ev.sets.length, 3);
+  assert.equal(ev.roundName, "Semifinal");
+  assert.equal(ev.stage.kind, "semi");
+  assert.equal(ev.stage.playoff, true);
+  assert.equal(ev.firstToServe, "away");
+  assert.equal(ev.raw.roundInfo.name, "Semifinal");
+});
+
+test("golden set fra rundenavnet til kampen, og spilte sett beholdes", () => {
+  const full = { home_p3: 25, away_p3: 22, home_p4: 20, away_p4: 25, home_p5: 15, away_p5: 12 };
+
+  // Vanlig kamp i en turnering med "Golden Set" i navnet: fem sett
+  const leg = normalizeEvent(row({ tournament_name: "CEV Cup, Golden Set", round_name: "Quarterfinals", ...full }));
+  assert.equal(leg.format.key, "indoor");
+  assert.equal(leg.stage.goldenSet, false);
+  assert.deepEqual(JSON.parse(JSON.stringify(leg.sets)).map(s => s && s.home), [25, 7, 25, 20, 15]);
+
+  const golden = normalizeEvent(row({ round_name: "Quarterfinals, golden set", home_p2: null, away_p2: null }));
+  assert.equal(golden.format.key, "goldenSet");
+  assert.equal(golden.stage.goldenSet, true);
+  assert.equal(golden.sets.length, 1);
+
+  // Feil format (golden set med flere sett i raden) kaster ikke settene
+  assert.equal(normalizeEvent(row({ round_name: "Golden set", ...full })).sets.length, 5);
+  assert.equal(normalizeEvent(row({ sport_slug: "beach-volley", home_p4: 1, away_p4: 0 })).sets.length, 4);
+});
+
+test("ugyldige kamper gir tydelige feil", () => {
+  assert.throws(() => normalizeEvent(null, "/live[0]"), { name: "ApiDataError", message: /^\/live\[0\]: forventet et objekt/ });
+  assert.throws(() => normalizeEvent(row({ away_team_name: "" })), /mangler lagnavn/);
+  assert.throws(() => normalizeEvent(row({ home_p1: "abc" })), /home_p1 er ikke et tall/);
+  assert.throws(() => normalizeEvent(row({ raw_json: "{" })), /raw_json er ikke gyldig JSON/);
+});
+
+test("lista hopper over ugyldige rader med én advarsel", () => {
+  warnings.length = 0;
+  const events = normalizeEvents([row(), { event_id: 2 }, row({ event_id: 3 })]);
+  assert.deepEqual([...events.map(ev => ev.id)], [11, 3]);
+  assert.equal(warnings.length, 1);
+  assert.match(warnings[0], /\/live: hoppet over 1 ugyldige rader\. \/live\[1\]: mangler lagnavn/);
+});
+
+test("svar som ikke er en liste avvises", () => {
+  assert.throws(() => normalizeEvents({ error: "oops" }), { name: "ApiDataError", message: "/live: forventet en liste, fikk object" });
+  assert.equal(normalizeEvents({ items: [row()] }).length, 1);
+});
+
+test("lag og spillere", () => {
+  warnings.length = 0;
+  const teams = normalizeTeams([
+    { sofascore_team_id: "100", team_name: "Førde", country: "Norge" },
+    { name: "Uten id" },
+  ]);
+  assert.deepEqual(JSON.parse(JSON.stringify(teams)), [{ id: 100, name: "Førde", country: "Norge", league: "" }]);
+
+  const players = normalizePlayers({
+    items: [
+      { id: 7, name: "Ola", nationality: "Norway", sofascore_team_id: "100" },
+      { id: 8, name: "Kari" },
+    ],
+  });
+  assert.deepEqual(JSON.parse(JSON.stringify(players)), [
+    { id: "7", name: "Ola", nationality: "Norway", sofascoreTeamId: 100 },
+  ]);
+  assert.equal(warnings.length, 2);
+});
+
+test("API-adressen: localhost fra adressen, ellers meta, ellers standard", () => {
+  const { resolveApiBase } = ctx;
+  // const på toppnivå blir ikke egenskaper på konteksten
+  const DEFAULT_API_BASE = vm.runInContext("DEFAULT_API_BASE", ctx);
+  const meta = "https://example.no/api/";
+  assert.equal(resolveApiBase("?api=http://localhost:8787/x", meta), "http://localhost:8787");
+  assert.equal(resolveApiBase("?api=https://evil.example", meta), "https://example.no/api");
+  assert.equal(resolveApiBase("", null), DEFAULT_API_BASE);
+
+  warnings.length = 0;
+  assert.equal(resolveApiBase("", "ftp://example.no"), DEFAULT_API_BASE);
+  assert.equal(resolveApiBase("", "ikke en adresse"), DEFAULT_API_BASE);
+  assert.equal(warnings.length, 2);
+});
+
+// /teams med n lag; respond(url, rows) kan endre svaret
+function servePages(n, respond) {
+  const all = Array.from({ length: n }, (_, i) => ({ sofascore_team_id: i + 1, name: "Lag " + (i + 1) }));
+  const urls = [];
+  fetchStub = async (url) => {
+    urls.push(url);
+    const q = new URL(url).searchParams;
+    const offset = Number(q.get("offset"));
+    const rows = all.slice(offset, offset + Number(q.get("limit")));
+    return { ok: true, headers: { get: () => null }, json: async () => (respond ? respond(url, rows, all) : rows) };
+  };
+  return urls;
+}
+
+test("lag hentes side for side til lista er tom", async () => {
+  const urls = servePages(2500);
+  const sizes = [];
+  const result = await ctx.fetchTeams(undefined, items => sizes.push(items.length));
+  assert.equal(result.complete, true);
+  assert.equal(result.items.length, 2500);
+  assert.deepEqual(sizes, [1000, 2000, 2500]);
+  assert.match(urls[2], /\/teams\?limit=1000&offset=2000$/);
+});
+
+test("total i svaret sparer en tom side på slutten", async () => {
+  const urls = servePages(1000, (url, rows, all) => ({ items: rows, total: all.length }));
+  assert.equal((await ctx.fetchTeams()).items.length, 1000);
+  assert.equal(urls.length, 1);
+});
+
+test("samme rad på to sider tas med én gang", async () => {
+  // Et nytt lag øverst mellom sidene skyver rad 1000 over til neste side
+  servePages(1500, (url, rows, all) => (url.endsWith("offset=1000") ? all.slice(999, 1500) : rows));
+  const result = await ctx.fetchTeams();
+  assert.equal(result.items.length, 1500);
+  assert.equal(result.complete, true);
+});
+
+test("server som ser bort fra offset gir ufullstendig liste", async () => {
+  warnings.length = 0;
+  const urls = servePages(3000, (url, rows, all) => all.slice(0, 1000));
+  const result = await ctx.fetchTeams();
+  assert.equal(result.complete, false);
+  assert.equal(result.items.length, 1000);
+  assert.equal(urls.length, 2);
+  assert.match(warnings[0], /\/teams: side 2 ga ingen nye rader/);
+});
@@ -0,0 +1,95 @@
+// Kjøres med: node --test test/
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+// countries.js er et vanlig nettleserscript uten moduler; last det i en egen kontekst
+const ctx = vm.createContext({});
+vm.runInContext(fs.readFileSync(path.join(__dirname, "..", "countries.js"), "utf8"), ctx);
+const { findCountryInText, countryIsoFromName, resolveCountryIso, countryName, isoToFlag } = ctx;
+
+test("vanskelige turneringsnavn", () => {
+  const cases = [
+    ["Niger Super Ligue", "NE"],
+    ["Nigeria Premier League", "NG"],
+    ["Guinea Championnat National", "GN"],
+    ["Guinea-Bissau Campeonato", "GW"],
+    ["Equatorial Guinea Liga", "GQ"],
+    ["Papua New Guinea Open", "PG"],
+    ["Congo Ligue 1", "CG"],
+    ["DR Congo Ligue 1", "CD"],
+    ["Democratic Republic of the Congo Cup", "CD"],
+    ["Sudan Premier League", "SD"],
+    ["South Sudan Cup", "SS"],
+    ["Dominican Republic LNVS", "DO"],
+    ["Dominica Open", "DM"],
+    ["Austria AVL", "AT"],
+    ["Australia Volleyball League", "AU"],
+    ["India Prime Volleyball League", "IN"],
+    ["Indonesia Proliga", "ID"],
+    ["Romania Divizia A1", "RO"],
+    ["Somalia League", "SO"],
+    ["Iran Super League", "IR"],
+    ["Korea V-League", "KR"],
+    ["South Korea V-League", "KR"],
+    ["North Korea Championship", "KP"],
+    ["China Volleyball Super League", "CN"],
+    ["Chinese Taipei Top Volleyball League", "TW"],
+    ["Japan SV.League", "JP"],
+    ["New Zealand National League", "NZ"],
+    ["Philippines PVL", "PH"],
+    ["Türkiye Efeler Ligi", "TR"],
+    ["Turkey Sultanlar Ligi", "TR"],
+    ["Côte d’Ivoire Championnat", "CI"],
+    ["Ivory Coast Cup", "CI"],
+    ["Bosnia & Herzegovina Premijer Liga", "BA"],
+    ["Czech Republic Extraliga", "CZ"],
+    ["Eliteserien Norge", "NO"],
+    ["Serie A1 Italia", "IT"],
+    ["Sør-Korea", "KR"],
+    ["Elfenbenskysten", "CI"],
+    ["Norway vs Sweden, friendly", "NO"],
+  ];
+
+  for (const [text, iso] of cases) {
+    assert.equal(findCountryInText(text), iso, text);
+  }
+});
+
+test("internasjonale turneringer og vanlige ord gir ikke land", () => {
+  for (const text of ["CEV Champions League", "Club World Championship", "Island Open", "Man of the Match Cup", "Nations League"]) {
+    assert.equal(findCountryInText(text), null, text);
+  }
+});
+
+test("rene landnavn og koder", () => {
+  assert.equal(countryIsoFromName("Norge"), "NO");
+  assert.equal(countryIsoFromName(" norway "), "NO");
+  assert.equal(countryIsoFromName("NO"), "NO");
+  assert.equal(countryIsoFromName("Island"), "IS");
+  assert.equal(countryIsoFromName("Østerrike"), "AT");
+  assert.equal(countryIsoFromName("USA"), "US");
+  assert.equal(countryIsoFromName("Kosovo"), "XK");
+  assert.equal(countryIsoFromName("Atlantis"), null);
+  assert.equal(countryIsoFromName(""), null);
+  assert.equal(countryIsoFromName(null), null);
+});
+
+test("strukturert kode går foran lagenes land og fritekst", () => {
+  assert.equal(resolveCountryIso([{ alpha2: "it" }, { name: "Norge" }, { text: "Eliteserien Norge" }]), "IT");
+  // Ukjente koder (Sofascore bruker f.eks. EN for England) hoppes over
+  assert.equal(resolveCountryIso([{ alpha2: "EN" }, { name: "Norge" }]), "NO");
+  assert.equal(resolveCountryIso([{ alpha2: null }, { name: "" }, { name: "Italy Women" }]), "IT");
+  assert.equal(resolveCountryIso([{ name: "International" }, { text: "Nigeria Cup 2025" }]), "NG");
+  assert.equal(resolveCountryIso([{ name: "Europe" }, { text: "CEV Cup 24/25" }]), null);
+});
+
+test("landnavn på valgt språk og flagg", () => {
+  assert.equal(countryName("NO", "nb"), "Norge");
+  assert.equal(countryName("NO", "en"), "Norway");
+  assert.equal(countryName("KR", "nb"), "Sør-Korea");
+  assert.equal(countryName("ZZ", "en"), "ZZ");
+  assert.equal(isoToFlag("NO"), "🇳🇴");
+});
@@ -0,0 +1,338 @@
+// Kjøres med: node --test test/   (npm install først: jsdom, React og Babel)
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadApp, render, readFixture } = require("../dev/dom-env");
+
+// live.js med avhengigheter, lastet som i index.html; dataene er dev/fixtures
+const w = loadApp();
+const events = w.normalizeEvents(readFixture("live.json"));
+const teams = w.normalizeTeams(readFixture("teams.json"));
+const players = w.normalizePlayers(readFixture("players.json"));
+const teamsBySofaId = new Map(teams.map(t => [t.id, t]));
+
+function ev(key) {
+  const found = events.find(x => x.key === key);
+  assert.ok(found, "fant ikke " + key + " i live.json");
+  return found;
+}
+
+// Rå rad fra live.json med endringer, normalisert på nytt
+function variant(eventId, patch) {
+  const row = readFixture("live.json").find(x => x.event_id === eventId);
+  return w.normalizeEvent({ ...row, ...patch });
+}
+
+// EventCard er en memo-const, ikke en egenskap på window
+const EventCard = w.eval("EventCard");
+
+function card(props) {
+  return render(w, w.React.createElement(EventCard, {
+    flashInfo: {},
+    serveInfo: null,
+    playLabelInfo: null,
+    isFocused: false,
+    timeline: [],
+    starredTeamIds: new Set(),
+    favouritePlayerIds: new Set(),
+    onToggleTeam: () => {},
+    onTogglePlayer: () => {},
+    onToggleFollow: () => {},
+    ...props,
+  }));
+}
+
+test("fixturene: ugyldige rader hoppes over", () => {
+  assert.equal(events.length, 7);
+  assert.equal(teams.length, 5);
+  assert.equal(players.length, 3);
+  assert.deepEqual(
+    [...events.map(x => x.key)],
+    ["11", "12", "vb-2026-0415", "14", "1760803200-Tromsø-Viking", "16", "17"]
+  );
+});
+
+test("classifyEventGroup: norsk lag, kjent utenlandsk lag, ukjent", () => {
+  assert.equal(w.classifyEventGroup(ev("11"), teamsBySofaId), "mizuno");
+  assert.equal(w.classifyEventGroup(ev("12"), teamsBySofaId), "abroad");
+  // home_teams_id (eldre feltnavn) treffer lagtabellen
+  assert.equal(w.classifyEventGroup(ev("vb-2026-0415"), teamsBySofaId), "abroad");
+  assert.equal(w.classifyEventGroup(ev("1760803200-Tromsø-Viking"), teamsBySofaId), "other");
+  assert.equal(w.classifyEventGroup(ev("11"), new Map()), "other");
+  assert.equal(w.classifyEventGroup(ev("11"), null), "other");
+});
+
+test("currentPoints: settet fra status, ellers siste startede sett", () => {
+  const points = (key) => ({ ...w.currentPoints(ev(key)) });
+  assert.deepEqual(points("11"), { setNo: 5, home: 14, away: 13 });
+  assert.deepEqual(points("12"), { setNo: 2, home: 8, away: 10 });
+  assert.deepEqual(points("14"), { setNo: 3, home: 14, away: 12 });
+  assert.deepEqual(points("16"), { setNo: 5, home: 15, away: 12 });
+  assert.deepEqual(points("17"), { setNo: null, home: null, away: null });
+  // "5th set" i beach (best av tre) er ikke et gyldig sett
+  assert.equal(w.currentPoints(variant(14, { status_desc: "5th set" })).setNo, 3);
+});
+
+test("deriveCountryLabel: raw_json som tekst og objekt, lagets land, ukjent", () => {
+  assert.equal(w.deriveCountryLabel(ev("11"), teamsBySofaId), "🇳🇴 Norge");
+  assert.equal(w.deriveCountryLabel(ev("12"), teamsBySofaId), "🇮🇹 Italia");
+  assert.equal(w.deriveCountryLabel(ev("vb-2026-0415"), teamsBySofaId), "🇵🇱 Polen");
+  assert.equal(w.deriveCountryLabel(ev("1760803200-Tromsø-Viking"), teamsBySofaId), null);
+});
+
+test("scoreSignals: blink og break-point/side-out bare ved nytt poeng", () => {
+  const signals = w.scoreSignals([
+    ev("11"),
+    ev("12"),
+    variant(12, { home_point_run: 1, away_point_run: 0, new_score: 1 }),
+  ]);
+  assert.ok(signals.flash["11"].home);
+  assert.equal(signals.playLabel["11"].type, "break-point");
+  assert.equal(signals.playLabel["12"].type, "side-out");
+  assert.equal(signals.playLabel["12"].side, "home");
+
+  const quiet = w.scoreSignals([ev("12")]);
+  assert.deepEqual(Object.keys(quiet.flash), []);
+});
+
+test("serve følges mellom oppdateringer", () => {
+  let state = w.advanceServe(null, ev("11"));
+  assert.equal(w.serveInfoFor(state, ev("11")).side, "home");
+  assert.equal(w.serveInfoFor(state, ev("11")).confidence, "medium");
+
+  // Borte tar poenget: de server, og nå vet vi det sikkert
+  const next = variant(11, { away_p5: 14, home_point_run: 0, away_point_run: 1 });
+  state = w.advanceServe(state, next);
+  const info = w.serveInfoFor(state, next);
+  assert.equal(info.side, "away");
+  assert.equal(info.confidence, "high");
+
+  // Ingen run og ingen første serve: vet ikke
+  const unknown = variant(12, { away_point_run: 0 });
+  assert.equal(w.serveInfoFor(w.advanceServe(null, unknown), unknown), null);
+});
+
+test("varsler: kamp som faller ut av ett svar og kommer tilbake er ikke ny", () => {
+  const ev11 = ev("11");
+  const misses = new Map();
+  const nextSeen = new Map();
+  w.keepMissing(new Map([["11", ev11]]), nextSeen, misses);
+  assert.equal(nextSeen.get("11"), ev11);
+  assert.equal(misses.get("11"), 1);
+
+  // Tilbake i neste svar: sammenlignes med siste versjon, ingen "start" eller "final"
+  assert.equal(w.matchEventsBetween(nextSeen.get("11"), ev11).length, 0);
+  w.keepMissing(nextSeen, new Map([["11", ev11]]), misses);
+  assert.equal(misses.size, 0);
+
+  // Borte lenge nok: glemmes
+  let seen = new Map([["11", ev11]]);
+  for (let i = 0; i < 20; i++) {
+    const next = new Map();
+    w.keepMissing(seen, next, misses);
+    seen = next;
+  }
+  assert.equal(seen.size, 0);
+  assert.equal(misses.size, 0);
+});
+
+test("EventCard: lag, poeng og press i tie-break", () => {
+  const ev11 = ev("11");
+  const host = card({
+    ev: ev11,
+    serveInfo: w.serveInfoFor(w.advanceServe(null, ev11), ev11),
+    starredTeamIds: new Set([1001]),
+    stageText: "Finale",
+  });
+
+  assert.deepEqual([...host.querySelectorAll(".teamName")].map(n => n.textContent), ["Førde VBK", "Randaberg IL"]);
+  assert.deepEqual([...host.querySelectorAll(".pointNumber")].map(n => n.textContent), ["14", "13"]);
+  assert.match(host.textContent, /Matchball Førde VBK/);
+  assert.match(host.textContent, /Tie-break/);
+  assert.match(host.querySelector(".sub").textContent, /Finale/);
+  assert.ok(host.querySelector(".serveIcon.home.inferred"));
+  assert.equal(host.querySelectorAll(".starBtn.active").length, 1);
+  // Settboksene vises bare i fokus
+  assert.equal(host.querySelectorAll(".setbox").length, 0);
+  host.unmount();
+});
+
+test("EventCard i fokus: alle fem settene og statistikk", () => {
+  const host = card({ ev: ev("16"), isFocused: true });
+  const boxes = [...host.querySelectorAll(".setRow .setbox .val")].map(n => n.textContent);
+  assert.deepEqual(boxes, ["25 - 20", "21 - 25", "25 - 27", "25 - 16", "15 - 12"]);
+  assert.ok(host.querySelector(".statsPanel"));
+  assert.match(host.textContent, /3 - 2 i sett/);
+  host.unmount();
+});
+
+test("EventCard for beach: spillernavn fra raw_json, ingen logo", () => {
+  const host = card({ ev: ev("14") });
+  assert.deepEqual(
+    [...host.querySelectorAll(".pairNames .teamName")].map(n => n.textContent),
+    ["Anders Mol", "Christian Sørum", "Chase Budinger", "Miles Evans"]
+  );
+  assert.equal(host.querySelectorAll(".logoBox").length, 0);
+  host.unmount();
+});
+
+test("EventCard: klikk på kortet og stjernen", () => {
+  const clicks = [];
+  const host = card({
+    ev: ev("vb-2026-0415"),
+    onClick: () => clicks.push("card"),
+    onToggleTeam: (id) => clicks.push("team " + id),
+  });
+  host.querySelector(".card").dispatchEvent(new w.MouseEvent("click", { bubbles: true }));
+  host.querySelector(".starBtn").dispatchEvent(new w.MouseEvent("click", { bubbles: true }));
+  // Stjernen stopper klikket, så kortet åpnes ikke
+  assert.deepEqual(clicks, ["card", "team 4001"]);
+  host.unmount();
+});
+
+test("PlayerAvatar er en knapp som åpner spillerprofilen", () => {
+  const opened = [];
+  w.addEventListener("volley:player", (e) => opened.push(e.detail.id));
+  const PlayerAvatar = w.eval("PlayerAvatar");
+  const host = render(w, w.React.createElement(PlayerAvatar, { player: players[0] }));
+
+  const button = host.querySelector(".playerAvatar");
+  assert.equal(button.tagName, "BUTTON");
+  assert.equal(button.type, "button");
+  assert.equal(button.textContent, "ON");
+  button.focus();
+  assert.equal(w.document.activeElement, button);
+  button.dispatchEvent(new w.MouseEvent("click", { bubbles: true }));
+  assert.deepEqual(opened, ["9001"]);
+  host.unmount();
+});
+
+test("avledet per kamp: gjenbrukes til raden, lagene eller språket endres", () => {
+  const first = w.deriveEvents(null, events, teamsBySofaId, "nb");
+  const info = first.byKey.get("11");
+  assert.equal(info.group, "mizuno");
+  assert.equal(info.countryLabel, "🇳🇴 Norge");
+  assert.equal(info.stageText, "Finale");
+
+  // Ny oppdatering med samme rader: samme objekter
+  const again = w.deriveEvents(first, w.normalizeEvents(readFixture("live.json")), teamsBySofaId, "nb");
+  assert.equal(again.byKey.get("11"), info);
+  assert.equal(again.byKey.get("12"), first.byKey.get("12"));
+
+  // Nytt poeng gir ny hash og ny utregning for bare den kampen
+  const scored = events.map(x => (x.key === "11" ? variant(11, { home_p5: 15 }) : x));
+  const next = w.deriveEvents(again, scored, teamsBySofaId, "nb");
+  assert.notEqual(next.byKey.get("11"), info);
+  assert.equal(next.byKey.get("12"), again.byKey.get("12"));
+
+  assert.notEqual(w.deriveEvents(next, scored, new Map(teamsBySofaId), "nb").byKey.get("12"), next.byKey.get("12"));
+  assert.notEqual(w.deriveEvents(next, scored, teamsBySofaId, "en").byKey.get("12"), next.byKey.get("12"));
+  // Kamper som er borte fra lista forsvinner fra cachen
+  assert.equal(w.deriveEvents(next, scored.slice(0, 2), teamsBySofaId, "nb").byKey.size, 2);
+});
+
+test("uendrede kamper beholder objektet mellom oppdateringer", () => {
+  const seen = new Map(events.map(x => [x.key, x]));
+  const incoming = w.normalizeEvents(readFixture("live.json")).map(x => (x.key === "12" ? variant(12, { home_p2: 9 }) : x));
+  const next = w.reuseUnchanged(seen, incoming);
+  assert.equal(next.find(x => x.key === "11"), ev("11"));
+  assert.notEqual(next.find(x => x.key === "12"), ev("12"));
+  assert.equal(w.reuseUnchanged(null, incoming), incoming);
+});
+
+// Kontrollert <input>: verdien settes forbi React, så onChange ser endringen
+function type(input, value) {
+  Object.getOwnPropertyDescriptor(w.HTMLInputElement.prototype, "value").set.call(input, value);
+  input.dispatchEvent(new w.Event("input", { bubbles: true }));
+}
+
+function press(input, key) {
+  input.dispatchEvent(new w.KeyboardEvent("keydown", { key: key, bubbles: true }));
+}
+
+// Treffene rendres etter skrivingen (useDeferredValue); lista er aria-busy til da
+async function tick() {
+  for (let i = 0; i < 100; i++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+    if (!w.document.querySelector("[role=listbox][aria-busy=true]")) return;
+  }
+}
+
+test("GlobalSearch: treff uten æ/ø og skrivefeil, piltaster, Enter og Escape", async () => {
+  const picked = [];
+  const host = render(w, w.React.createElement(w.GlobalSearch, {
+    events: events.filter(x => w.isLiveStatus(x.statusType)),
+    teams: teams,
+    players: players,
+    teamsBySofaId: teamsBySofaId,
+    derived: w.deriveEvents(null, events, teamsBySofaId, "nb").byKey,
+    onPick: (entry) => picked.push(entry.kind + " " + entry.id),
+  }));
+  const input = host.querySelector("input");
+  const options = () => [...host.querySelectorAll("[role=option]")].map(li => li.textContent);
+
+  type(input, "forde");
+  await tick();
+  assert.deepEqual(options(), [
+    "KampFørde VBK – Randaberg IL2-2 · Eliteserien · 🇳🇴 Norge",
+    "LagFørde VBKEliteserien · Norge",
+  ]);
+  assert.equal(input.getAttribute("aria-activedescendant"), "search-match-11");
+
+  press(input, "ArrowDown");
+  await tick();
+  assert.equal(host.querySelector(".searchResult.active").id, "search-team-1001");
+  press(input, "Enter");
+  await tick();
+  assert.deepEqual(picked, ["team 1001"]);
+  assert.equal(input.value, "");
+  assert.equal(host.querySelector("[role=listbox]"), null);
+
+  // Skrivefeil: kampen og laget før spilleren som bare treffer på lagnavnet
+  type(input, "perugla");
+  await tick();
+  assert.deepEqual(options().map(text => text.split(" · ")[0]), [
+    "KampSir Safety Perugia – Itas Trentino1-0",
+    "LagSir Safety PerugiaSuperLega",
+    "SpillerOla NordmannNorge",
+  ]);
+  press(input, "Escape");
+  await tick();
+  assert.equal(input.value, "");
+
+  type(input, "tromso");
+  await tick();
+  assert.match(options()[0], /^KampTromsø – Viking/);
+  type(input, "qqqq");
+  await tick();
+  assert.equal(host.querySelector(".searchEmpty").textContent, "Ingen treff");
+  host.unmount();
+});
+
+test("App: lag med bare en favorittspiller er under Mine, men lagstjernen er tom", async () => {
+  const app = loadApp();
+  // Ola Nordmann (9001) spiller for Sir Safety Perugia (2001)
+  app.localStorage.setItem("volley.favourites", JSON.stringify({ teams: [], players: ["9001"] }));
+  const host = render(app, app.React.createElement(app.App));
+  const wait = () => new Promise(resolve => setTimeout(resolve, 10));
+  const teamStar = () => host.querySelector(".starBtn[title*='Sir Safety Perugia']");
+
+  try {
+    // Spillerlista kommer etter /live; da byttes filteret til Mine
+    for (let i = 0; i < 200 && !teamStar(); i++) await wait();
+    const star = teamStar();
+    assert.ok(star, "fant ikke lagstjernen");
+    assert.equal(star.getAttribute("aria-pressed"), "false");
+    assert.match(host.querySelector(".filterBtn[style*='background: rgb(17, 24, 39)']").textContent, /Mine/);
+
+    // Ett klikk markerer laget, neste fjerner det igjen
+    star.dispatchEvent(new app.MouseEvent("click", { bubbles: true }));
+    await wait();
+    assert.equal(teamStar().getAttribute("aria-pressed"), "true");
+    teamStar().dispatchEvent(new app.MouseEvent("click", { bubbles: true }));
+    await wait();
+    assert.equal(teamStar().getAttribute("aria-pressed"), "false");
+  } finally {
+    host.unmount();
+    app.close();
+  }
+});
@@ -0,0 +1,150 @@
+// Kjøres med: node --test test/   (npm install først: jsdom, React og Babel)
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadApp, render } = require("../dev/dom-env");
+
+const w = loadApp();
+const HOUR = 60 * 60 * 1000;
+const NOW = 1760812345000;
+
+// IndexedDB finnes ikke i jsdom; readReference/writeReference byttes ut per test
+function store(entry) {
+  const writes = [];
+  w.readReference = async () => entry;
+  w.writeReference = async (kind, value) => { writes.push({ kind, ...value }); };
+  return writes;
+}
+
+// /teams med n lag; failAt gir 500 fra og med den siden
+function serveTeams(n, failAt) {
+  const urls = [];
+  w.fetch = async (url) => {
+    urls.push(url);
+    const q = new URL(url).searchParams;
+    const offset = Number(q.get("offset"));
+    if (failAt != null && offset >= failAt) {
+      return { ok: false, status: 500, statusText: "Server Error", headers: { get: () => null }, json: async () => null };
+    }
+    const rows = Array.from({ length: Math.max(0, Math.min(1000, n - offset)) }, (_, i) => ({
+      sofascore_team_id: offset + i + 1,
+      name: "Lag " + (offset + i + 1),
+    }));
+    return { ok: true, status: 200, headers: { get: () => null }, json: async () => rows };
+  };
+  return urls;
+}
+
+// previous: det som vises fra forrige runde
+async function load(kind, previous) {
+  const states = [];
+  const last = await w.loadReferenceList(kind, undefined, s => states.push(s), previous, () => NOW);
+  return { states, last };
+}
+
+const cachedTeams = [{ id: 1, name: "Lagret", country: "", league: "" }];
+
+test("uten IndexedDB leses ingenting", async () => {
+  assert.equal(await w.openRefDb(), null);
+});
+
+test("fersk lagret liste brukes uten henting", async () => {
+  store({ version: 1, fetchedAt: NOW - HOUR, complete: true, items: cachedTeams });
+  const urls = serveTeams(10);
+  const { last } = await load("teams");
+  assert.equal(urls.length, 0);
+  assert.equal(last.items[0].name, "Lagret");
+  assert.equal(last.complete, true);
+  assert.equal(last.loading, false);
+});
+
+test("gammel lagret liste vises til den nye er hentet helt", async () => {
+  const writes = store({ version: 1, fetchedAt: NOW - 7 * HOUR, complete: true, items: cachedTeams });
+  serveTeams(1500);
+  const { states, last } = await load("teams");
+
+  // Den lagrede lista står mens sidene hentes
+  assert.deepEqual(states.slice(0, -1).map(s => s.items.length), [1]);
+  assert.equal(states[0].loading, true);
+  assert.equal(last.items.length, 1500);
+  assert.equal(last.fetchedAt, NOW);
+  assert.equal(writes.length, 1);
+  assert.equal(writes[0].complete, true);
+  assert.equal(writes[0].items.length, 1500);
+});
+
+test("uten lagret liste vises sidene etter hvert, ufullstendig til slutt", async () => {
+  store(null);
+  serveTeams(2100);
+  const { states, last } = await load("teams");
+  assert.deepEqual(states.map(s => [s.items.length, s.complete]), [
+    [1000, false],
+    [2000, false],
+    [2100, false],
+    [2100, true],
+  ]);
+  assert.equal(last.loading, false);
+});
+
+test("uten IndexedDB står den komplette lista mens den hentes på nytt", async () => {
+  const writes = store(null);
+  serveTeams(1500);
+  const previous = { items: cachedTeams, complete: true, loading: false, fetchedAt: NOW - 7 * HOUR, error: "" };
+  const { states, last } = await load("teams", previous);
+
+  // Ingen side 1 i stedet for hele lista underveis
+  assert.deepEqual(states.map(s => [s.items.length, s.complete]), [[1500, true]]);
+  assert.equal(last.loading, false);
+  assert.equal(writes.length, 1);
+});
+
+test("ufullstendig henting erstatter ikke en komplett liste", async () => {
+  const writes = store({ version: 1, fetchedAt: NOW - 7 * HOUR, complete: true, items: cachedTeams });
+  // Serveren ser bort fra offset: side 2 gir ingen nye rader, og fetchAllPages gir opp
+  w.fetch = async () => ({
+    ok: true,
+    status: 200,
+    headers: { get: () => null },
+    json: async () => Array.from({ length: 1000 }, (_, i) => ({ sofascore_team_id: i + 1, name: "Lag " + (i + 1) })),
+  });
+  const { states, last } = await load("teams");
+
+  assert.ok(states.every(s => s.items === cachedTeams && s.complete));
+  assert.equal(last.loading, false);
+  assert.equal(last.fetchedAt, NOW - 7 * HOUR);
+  assert.equal(writes.length, 0);
+  assert.equal(w.referenceRefreshDelay(last, NOW), 5 * 60 * 1000);
+});
+
+test("feil midt i hentingen: sidene så langt, ikke komplett", async () => {
+  const writes = store(null);
+  serveTeams(2500, 1000);
+  const { last } = await load("teams");
+  assert.equal(last.items.length, 1000);
+  assert.equal(last.complete, false);
+  assert.equal(last.error, "500 Server Error");
+  assert.equal(writes.length, 0);
+  assert.equal(w.referenceRefreshDelay(last, NOW), 5 * 60 * 1000);
+});
+
+test("neste runde når lista blir for gammel", () => {
+  const state = { items: [], complete: true, loading: false, fetchedAt: NOW - 2 * HOUR, error: "" };
+  assert.equal(w.referenceRefreshDelay(state, NOW), 4 * HOUR);
+  assert.equal(w.referenceRefreshDelay({ ...state, fetchedAt: NOW - 7 * HOUR }, NOW), 5 * 60 * 1000);
+});
+
+test("ReferenceNotice vises bare når en av listene er ufullstendig", () => {
+  const done = { items: [], complete: true, loading: false, fetchedAt: NOW, error: "" };
+  const partial = { items: new Array(1000), complete: false, loading: true, fetchedAt: null, error: "" };
+
+  let host = render(w, w.React.createElement(w.ReferenceNotice, { teams: partial, players: done }));
+  assert.match(host.textContent, /Henter lag og spillere \(1\s000 lag og 0 spillere så langt\)/);
+  host.unmount();
+
+  host = render(w, w.React.createElement(w.ReferenceNotice, { teams: { ...partial, loading: false }, players: done }));
+  assert.match(host.textContent, /ble ikke hentet helt/);
+  host.unmount();
+
+  host = render(w, w.React.createElement(w.ReferenceNotice, { teams: done, players: done }));
+  assert.equal(host.textContent, "");
+  host.unmount();
+});
@@ -0,0 +1,188 @@
+// Kjøres med: node --test test/   (npm install først: jsdom, React og Babel)
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadApp, render, readFixture } = require("../dev/dom-env");
+
+const w = loadApp();
+const plain = (x) => JSON.parse(JSON.stringify(x));
+
+test("adressen: ?replay med fart, ?record, ellers ingenting", () => {
+  assert.deepEqual(plain(w.parseSession("?replay=dev/fixtures/session.json&speed=4")), {
+    mode: "replay",
+    src: "dev/fixtures/session.json",
+    speed: 4,
+  });
+  assert.deepEqual(plain(w.parseSession("?replay&speed=1000")), { mode: "replay", src: null, speed: 1 });
+  assert.deepEqual(plain(w.parseSession("?record")), { mode: "record" });
+  assert.equal(w.parseSession("?record=0"), null);
+  assert.equal(w.parseSession("?kiosk"), null);
+});
+
+test("opptaket får tid etter første svar og kan leses inn igjen", async () => {
+  let clock = 1760812345000;
+  const recorder = w.createRecorder(() => clock);
+  const fetchLive = w.recordingFetchLive(recorder);
+
+  // dom-env svarer med dev/fixtures/live.json
+  const first = await fetchLive();
+  clock += 5012;
+  await fetchLive();
+
+  assert.equal(first.events.length, 7);
+  const file = plain(recorder.toJSON());
+  assert.equal(file.version, 1);
+  assert.equal(file.recordedAt, "2025-10-18T18:32:25.000Z");
+  assert.deepEqual(file.frames.map(f => f.t), [0, 5012]);
+  // Svaret lagres før normalisering, med de ugyldige radene
+  assert.equal(file.frames[0].data.length, 9);
+  assert.equal(w.recordingFileName(file), "live-2025-10-18-18-32-25.json");
+
+  const recording = w.parseRecording(file);
+  assert.equal(recording.frames.length, 2);
+});
+
+test("ugyldige opptak avvises med tydelig feil", () => {
+  const frame = { t: 0, staleSince: null, data: [] };
+  assert.throws(() => w.parseRecording([]), { name: "ApiDataError", message: "opptaket: forventet et objekt" });
+  assert.throws(() => w.parseRecording({ version: 2, frames: [frame] }), /ukjent versjon 2/);
+  assert.throws(() => w.parseRecording({ version: 1, frames: [] }), /ingen svar i opptaket/);
+  assert.throws(() => w.parseRecording({ version: 1 }), /opptaket\.frames: forventet en liste/);
+  assert.throws(
+    () => w.parseRecording({ version: 1, frames: [{ ...frame, t: 5000 }, { ...frame, t: 10 }] }),
+    /opptaket\.frames\[1\]: t mangler eller går bakover/
+  );
+});
+
+test("avspillingen går ett svar om gangen, med ventetid etter fart", async () => {
+  const replay = w.createReplay(w.parseRecording(readFixture("session.json")));
+  const fetchLive = w.replayFetchLive(replay);
+
+  assert.equal(replay.current(), null);
+  assert.equal(replay.delayToNext(1), null);
+  assert.equal((await fetchLive()).events.length, 0);
+
+  assert.ok(replay.advance());
+  assert.equal(replay.delayToNext(1), 5012);
+  assert.equal(replay.delayToNext(4), 1253);
+
+  replay.advance();
+  replay.advance();
+  const stale = await fetchLive();
+  assert.equal(stale.staleSince, 1760812350012);
+  assert.equal(stale.events.length, 2);
+
+  while (replay.advance());
+  assert.equal(replay.index, replay.length - 1);
+  assert.equal(replay.delayToNext(1), null);
+
+  replay.rewind();
+  assert.equal(replay.index, -1);
+});
+
+test("opptaket gir samme serve, signaler og tidslinje som live", async () => {
+  const replay = w.createReplay(w.parseRecording(readFixture("session.json")));
+  const fetchLive = w.replayFetchLive(replay);
+
+  let serve = null;
+  let timeline = [];
+  const serving = [];
+  const labels = [];
+
+  while (replay.advance()) {
+    const ev = (await fetchLive()).events.find(x => x.key === "11");
+    const signals = w.scoreSignals([ev]);
+    serve = w.advanceServe(serve, ev);
+    timeline = w.appendTimeline(timeline, ev);
+
+    const info = w.serveInfoFor(serve, ev);
+    serving.push(info ? info.side : null);
+    labels.push(signals.playLabel["11"] ? signals.playLabel["11"].type : null);
+  }
+
+  assert.deepEqual(serving, ["home", "home", "home", "away", "away", "home", "home", "away", "home"]);
+  assert.deepEqual(labels, [null, "break-point", null, "side-out", "side-out", "side-out", "break-point", "side-out", "side-out"]);
+
+  const last = timeline[timeline.length - 1];
+  assert.deepEqual([last.set, last.home, last.away], [5, 15, 13]);
+  // 12-12 kom i ett svar: rekkefølgen er gjettet
+  assert.equal(timeline.filter(p => p.approx).length, 2);
+});
+
+// App med ?replay=session.json; sent samler varslene som vises
+function replayApp(recording) {
+  const app = loadApp({ search: "?replay=session.json&speed=100" });
+  const fixtureFetch = app.fetch;
+  app.fetch = async (url, init) =>
+    String(url) === "session.json"
+      ? { ok: true, status: 200, statusText: "OK", headers: { get: () => null }, json: async () => recording }
+      : fixtureFetch(url, init);
+
+  const sent = [];
+  app.Notification = function (title, options) { sent.push(options.body); };
+  app.Notification.permission = "granted";
+  app.localStorage.setItem("volley.notify", JSON.stringify({ enabled: true, whenVisible: true }));
+  app.localStorage.setItem("volley.follow", JSON.stringify({ "11": true }));
+  app.location.hash = "#/live?event=11";
+
+  const host = render(app, app.React.createElement(app.App));
+  const wait = () => new Promise(resolve => setTimeout(resolve, 10));
+  const bar = () => host.querySelector(".sessionBar");
+  const done = () => /Avspillingen er ferdig/.test(bar() ? bar().textContent : "");
+
+  return {
+    app: app,
+    host: host,
+    sent: sent,
+    async untilDone() {
+      for (let i = 0; i < 300 && !done(); i++) await wait();
+      assert.ok(done(), "avspillingen ble ikke ferdig");
+    },
+    async restart() {
+      const button = [...bar().querySelectorAll("button")].find(b => b.textContent === "Start på nytt");
+      button.dispatchEvent(new app.MouseEvent("click", { bubbles: true }));
+      for (let i = 0; i < 100 && done(); i++) await wait();
+    },
+    close() {
+      host.unmount();
+      app.close();
+    },
+  };
+}
+
+test("App: start på nytt bygger serve og tidslinje opp igjen fra første svar", async () => {
+  // Uten siste svar, der kampen er ferdig og forsvinner fra live-visningen
+  const recording = readFixture("session.json");
+  const session = replayApp({ ...recording, frames: recording.frames.slice(0, -1) });
+  const card = () => session.host.querySelector(".card.focused").textContent;
+
+  try {
+    await session.untilDone();
+    const first = card();
+    await session.restart();
+    await session.untilDone();
+    assert.equal(card(), first);
+  } finally {
+    session.close();
+  }
+});
+
+test("App: start på nytt gir samme varsler som første runde", async () => {
+  const session = replayApp(readFixture("session.json"));
+  // Ett minutt mellom hvert klokkeoppslag, så grensen for varsler per kamp ikke slår inn
+  const realNow = session.app.Date.now;
+  let skew = 0;
+  session.app.Date.now = () => realNow() + (skew += 60000);
+
+  try {
+    await session.untilDone();
+    const first = session.sent.splice(0);
+    assert.ok(first.some(body => /^Slutt/.test(body)), "ingen sluttresultat i første runde");
+
+    await session.restart();
+    await session.untilDone();
+    // Første svar er et nytt utgangspunkt, ikke en kamp som starter igjen
+    assert.deepEqual(session.sent, first);
+  } finally {
+    session.close();
+  }
+});
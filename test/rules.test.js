@@ -0,0 +1,147 @@
+// Kjøres med: node --test test/
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const ctx = vm.createContext({});
+vm.runInContext(fs.readFileSync(path.join(__dirname, "..", "rules.js"), "utf8"), ctx);
+const { nextServeState, isTightSet, resolveFormat, matchState } = ctx;
+// const på toppnivå havner ikke på kontekstobjektet
+const MATCH_FORMATS = vm.runInContext("MATCH_FORMATS", ctx);
+
+const indoor = MATCH_FORMATS.indoor;
+
+// Kjører en rekke oppdateringer gjennom tilstandsmaskinen
+function play(snaps, format) {
+  let state = null;
+  for (const snap of snaps) {
+    state = nextServeState(state, { runHome: 0, runAway: 0, ...snap }, format || indoor);
+  }
+  return state;
+}
+
+test("laget som vant ballvekslingen server", () => {
+  const s = play([
+    { setNo: 1, home: 3, away: 2, runHome: 1 },
+    { setNo: 1, home: 3, away: 3 },
+  ]);
+  assert.equal(s.server, "away");
+  assert.equal(s.confidence, "high");
+  assert.equal(s.run, 1);
+
+  const more = nextServeState(s, { setNo: 1, home: 3, away: 5, runHome: 0, runAway: 0 }, indoor);
+  assert.equal(more.server, "away");
+  assert.equal(more.run, 3);
+});
+
+test("første serve i settet følger firstToServe og veksler mellom sett", () => {
+  const first = play([{ setNo: 1, home: 0, away: 0, firstToServe: "home" }]);
+  assert.equal(first.server, "home");
+  assert.equal(first.confidence, "medium");
+
+  const second = nextServeState(first, { setNo: 2, home: 0, away: 0, runHome: 0, runAway: 0 }, indoor);
+  assert.equal(second.server, "away");
+  assert.equal(second.confidence, "medium");
+
+  const third = nextServeState(second, { setNo: 3, home: 0, away: 0, runHome: 0, runAway: 0 }, indoor);
+  assert.equal(third.server, "home");
+});
+
+test("avgjørende sett trekkes, så serven er ukjent ved 0-0", () => {
+  let s = play([{ setNo: 1, home: 0, away: 0, firstToServe: "away" }]);
+  for (const setNo of [2, 3, 4, 5]) {
+    s = nextServeState(s, { setNo: setNo, home: 0, away: 0, runHome: 0, runAway: 0 }, indoor);
+  }
+  assert.equal(s.server, null);
+  assert.equal(s.confidence, "low");
+
+  const beach = play([
+    { setNo: 1, home: 0, away: 0, firstToServe: "home" },
+    { setNo: 3, home: 0, away: 0 },
+  ], MATCH_FORMATS.beach);
+  assert.equal(beach.server, null);
+});
+
+test("uten firstToServe er 0-0 i første sett ukjent til første poeng", () => {
+  const start = play([{ setNo: 1, home: 0, away: 0 }]);
+  assert.equal(start.server, null);
+  assert.equal(start.confidence, "low");
+
+  const after = nextServeState(start, { setNo: 1, home: 0, away: 1, runHome: 0, runAway: 1 }, indoor);
+  assert.equal(after.server, "away");
+  assert.equal(after.confidence, "high");
+  // Vi vet ikke om poenget var side-out, så rotasjonene er usikre
+  assert.equal(after.exact, false);
+});
+
+test("begge lag scoret mellom oppdateringene", () => {
+  const before = play([{ setNo: 1, home: 10, away: 10, runHome: 2 }]);
+
+  const withRun = nextServeState(before, { setNo: 1, home: 12, away: 13, runHome: 0, runAway: 1 }, indoor);
+  assert.equal(withRun.server, "away");
+  assert.equal(withRun.confidence, "medium");
+  assert.equal(withRun.exact, false);
+
+  const withoutRun = nextServeState(before, { setNo: 1, home: 12, away: 13, runHome: 0, runAway: 0 }, indoor);
+  assert.equal(withoutRun.server, null);
+  assert.equal(withoutRun.confidence, "low");
+});
+
+test("side-outs teller rotasjoner", () => {
+  const s = play([
+    { setNo: 1, home: 0, away: 0, firstToServe: "home" },
+    { setNo: 1, home: 0, away: 1 },
+    { setNo: 1, home: 1, away: 1 },
+    { setNo: 1, home: 2, away: 1 },
+    { setNo: 1, home: 2, away: 2 },
+  ]);
+  assert.equal(s.exact, true);
+  assert.deepEqual({ ...s.rotations }, { home: 1, away: 2 });
+});
+
+test("rettet stilling faller tilbake på run", () => {
+  const before = play([{ setNo: 2, home: 15, away: 14, runHome: 1 }]);
+  const corrected = nextServeState(before, { setNo: 2, home: 14, away: 14, runHome: 0, runAway: 0 }, indoor);
+  assert.equal(corrected.server, null);
+  assert.equal(corrected.confidence, "low");
+});
+
+test("jevnt sett på slutten", () => {
+  const beach = MATCH_FORMATS.beach;
+  assert.equal(isTightSet([{ home: 21, away: 20 }], indoor, 2), true);
+  assert.equal(isTightSet([{ home: 24, away: 24 }], indoor, 2), true);
+  assert.equal(isTightSet([{ home: 20, away: 17 }], indoor, 2), false);
+  assert.equal(isTightSet([{ home: 12, away: 12 }], indoor, 2), false);
+  assert.equal(isTightSet([{ home: 24, away: 10 }], indoor, 2), false);
+  // Tie-break til 15
+  assert.equal(
+    isTightSet([{ home: 25, away: 20 }, { home: 20, away: 25 }, { home: 25, away: 23 }, { home: 22, away: 25 }, { home: 10, away: 9 }], indoor, 2),
+    true
+  );
+  assert.equal(isTightSet([{ home: 21, away: 15 }, { home: 16, away: 16 }], beach, 2), true);
+  // Ferdig kamp er ikke jevn lenger
+  assert.equal(isTightSet([{ home: 21, away: 19 }, { home: 22, away: 20 }], beach, 2), false);
+});
+
+test("format fra sport og turneringsnavn", () => {
+  assert.equal(resolveFormat("volleyball Eliteserien 25/26").key, "indoor");
+  assert.equal(resolveFormat("beach-volley Beach Pro Tour, Best of 3").key, "beach");
+  // Golden set velges per kamp (normalizeEvent), ikke fra turneringsnavnet
+  assert.equal(resolveFormat("volleyball CEV Cup Golden Set").key, "indoor");
+  assert.equal(resolveFormat("volleyball Kretsturnering (best of 3)").key, "indoorBo3");
+  assert.equal(resolveFormat("volleyball Summer Cup Bo3").key, "indoorBo3");
+  assert.equal(resolveFormat("volleyball NM junior, beste av tre").key, "indoorBo3");
+  assert.equal(resolveFormat("volleyball Best of 5 Series").key, "indoor");
+});
+
+test("best av tre: to sett vinner, tredje sett til 15", () => {
+  const bo3 = MATCH_FORMATS.indoorBo3;
+  const won = matchState([{ home: 25, away: 20 }, { home: 25, away: 23 }], bo3);
+  assert.equal(won.winner, "home");
+
+  const decider = matchState([{ home: 25, away: 20 }, { home: 20, away: 25 }, { home: 14, away: 12 }], bo3);
+  assert.equal(decider.isTieBreak, true);
+  assert.equal(decider.matchPoint, "home");
+});
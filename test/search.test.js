@@ -0,0 +1,69 @@
+// Kjøres med: node --test test/
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const ctx = vm.createContext({});
+vm.runInContext(fs.readFileSync(path.join(__dirname, "..", "search.js"), "utf8"), ctx);
+const { foldText, matchScore, searchEntry, searchEntries } = ctx;
+
+const team = (id, name, league, country) => searchEntry("team", id, name, "", null, [name], [league, country]);
+const player = (id, name, teamName) => searchEntry("player", id, name, "", null, [name], [teamName]);
+
+const entries = [
+  team(1, "Førde VBK", "Mizunoligaen", "Norge"),
+  team(2, "Tromsø VBK", "Mizunoligaen", "Norge"),
+  team(3, "Aalesund VBK", "Mizunoligaen", "Norge"),
+  team(4, "Sir Safety Perugia", "SuperLega", "Italia"),
+  team(5, "Bærum VK", "Mizunoligaen", "Norge"),
+  player("p1", "Markus Ødegård", "Sir Safety Perugia"),
+  player("p2", "Anders Førde", "Tromsø VBK"),
+  searchEntry("match", "11", "Førde VBK – Tromsø VBK", "", null, ["Førde VBK", "Tromsø VBK"], ["Mizunoligaen", "Norge"]),
+];
+
+const titles = (query) => [...searchEntries(entries, query)].map(hit => hit.entry.title);
+
+test("folding: små bokstaver, æ/ø/å og aksenter som på et tastatur uten dem", () => {
+  assert.equal(foldText("Bærum"), "baerum");
+  assert.equal(foldText("Tromsø"), "tromso");
+  assert.equal(foldText("Ålesund"), "alesund");
+  assert.equal(foldText("Aalesund"), "alesund");
+  assert.equal(foldText("Müller-Lüdenscheid"), "muller ludenscheid");
+  assert.equal(foldText("  Perugia (ITA) "), "perugia ita");
+  assert.equal(foldText(null), "");
+});
+
+test("poeng per søkeord: helt ord, starten, inni, skrivefeil, bokstaver i rekkefølge", () => {
+  assert.equal(matchScore("forde", "forde vbk"), 100);
+  assert.equal(matchScore("rand", "randaberg il"), 80);
+  assert.equal(matchScore("aberg", "randaberg il"), 60);
+  assert.equal(matchScore("perugla", "sir safety perugia"), 40);
+  assert.equal(matchScore("perigua", "sir safety perugia"), 0);
+  assert.equal(matchScore("prg", "sir safety perugia"), 10);
+  assert.equal(matchScore("xyz", "sir safety perugia"), 0);
+  // Korte ord får ingen skrivefeil
+  assert.equal(matchScore("vbl", "forde vbk"), 0);
+});
+
+test("søket finner lag og spillere uten æ/ø/å", () => {
+  assert.deepEqual(titles("tromso"), ["Førde VBK – Tromsø VBK", "Tromsø VBK", "Anders Førde"]);
+  assert.deepEqual(titles("Ålesund"), ["Aalesund VBK"]);
+  assert.deepEqual(titles("baerum"), ["Bærum VK"]);
+  assert.deepEqual(titles("odegard"), ["Markus Ødegård"]);
+});
+
+test("alle ordene må treffe, og navn teller mer enn liga og land", () => {
+  assert.deepEqual(titles("forde tromso"), ["Førde VBK – Tromsø VBK", "Anders Førde"]);
+  assert.deepEqual(titles("perugia"), ["Sir Safety Perugia", "Markus Ødegård"]);
+  assert.deepEqual(titles("perugia italia"), ["Sir Safety Perugia"]);
+  // Kamp før lag før spiller ved lik poengsum, ellers alfabetisk
+  assert.deepEqual(titles("forde").slice(0, 3), ["Førde VBK – Tromsø VBK", "Førde VBK", "Anders Førde"]);
+});
+
+test("tomt søk gir ingenting, og antallet begrenses", () => {
+  assert.equal(searchEntries(entries, "  ").length, 0);
+  assert.equal(searchEntries(entries, "norge").length, 5);
+  assert.equal(searchEntries(entries, "norge", 2).length, 2);
+});
@@ -0,0 +1,96 @@
+// Kjøres med: node --test test/
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const ctx = vm.createContext({});
+vm.runInContext(fs.readFileSync(path.join(__dirname, "..", "stages.js"), "utf8"), ctx);
+const { parseStage } = ctx;
+
+function kindOf(roundName, extra) {
+  const stage = parseStage({ roundName: roundName, ...extra });
+  return stage && stage.kind;
+}
+
+test("utslagsrunder", () => {
+  const cases = [
+    ["Final", "final"],
+    ["Finals", "final"],
+    ["Playoffs - Final", "final"],
+    ["Semifinals", "semi"],
+    ["Semi-final", "semi"],
+    ["1/2-final", "semi"],
+    ["Quarterfinals", "quarter"],
+    ["1/4 finals", "quarter"],
+    ["Round of 8", "quarter"],
+    ["3rd place final", "bronze"],
+    ["Bronze medal match", "bronze"],
+    ["Bronsefinale", "bronze"],
+    ["Playoffs", "playoff"],
+    ["Play-off round", "playoff"],
+  ];
+  for (const [name, kind] of cases) {
+    assert.equal(kindOf(name), kind, name);
+    assert.equal(parseStage({ roundName: name }).playoff, true, name);
+  }
+});
+
+test("runde med 16 og 32 lag", () => {
+  assert.equal(parseStage({ roundName: "Round of 16" }).roundOf, 16);
+  assert.equal(parseStage({ roundName: "1/8-final" }).roundOf, 16);
+  assert.equal(parseStage({ roundName: "Eighthfinals" }).roundOf, 16);
+  assert.equal(parseStage({ roundName: "1/16 finals" }).roundOf, 32);
+  assert.equal(parseStage({ roundName: "Round of 32" }).kind, "roundOf");
+});
+
+test("gruppespill med gruppe fra felt, rundenavn eller turnering", () => {
+  assert.equal(parseStage({ roundName: "Group B" }).group, "B");
+  assert.equal(parseStage({ group: "C" }).group, "C");
+  assert.equal(parseStage({ group: "Group D", round: 3 }).round, 3);
+  const pool = parseStage({ round: 2, tournament: "CEV Champions League, Pool E" });
+  assert.equal(pool.kind, "group");
+  assert.equal(pool.group, "E");
+  assert.equal(pool.round, 2);
+  assert.equal(pool.playoff, false);
+  assert.equal(parseStage({ roundName: "Group stage" }).kind, "group");
+});
+
+test("seriespill med rundenummer", () => {
+  assert.deepEqual(
+    [parseStage({ roundName: "Round 5" }).kind, parseStage({ roundName: "Round 5" }).round],
+    ["regular", 5]
+  );
+  assert.equal(parseStage({ roundName: "Regular Season", round: 12 }).round, 12);
+  assert.equal(parseStage({ round: 7 }).round, 7);
+  assert.equal(parseStage({ roundName: "14" }).round, 14);
+  assert.equal(parseStage({ round: 7 }).playoff, false);
+});
+
+test("dobbeltmøter, sammenlagt og golden set", () => {
+  const first = parseStage({ roundName: "Quarterfinals 1st leg" });
+  assert.equal(first.kind, "quarter");
+  assert.equal(first.leg, 1);
+
+  const second = parseStage({ roundName: "Quarterfinals", hasPreviousLeg: true, aggregate: { home: 1, away: 1 } });
+  assert.equal(second.leg, 2);
+  assert.deepEqual({ ...second.aggregate }, { home: 1, away: 1 });
+
+  const golden = parseStage({ roundName: "Golden set" });
+  assert.equal(golden.goldenSet, true);
+  assert.equal(golden.kind, "playoff");
+
+  // Turneringsnavnet gjelder alle kampene, så det avgjør ikke golden set
+  assert.equal(parseStage({ roundName: "Semifinals", tournament: "CEV Cup, Golden Set" }).goldenSet, false);
+  assert.equal(parseStage({ roundName: "2nd leg" }).kind, "playoff");
+});
+
+test("ukjent eller manglende runde", () => {
+  assert.equal(parseStage({}), null);
+  assert.equal(parseStage({ roundName: "" }), null);
+  const other = parseStage({ roundName: "Qualification" });
+  assert.equal(other.kind, "other");
+  assert.equal(other.raw, "Qualification");
+  assert.equal(other.playoff, false);
+});
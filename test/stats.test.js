@@ -0,0 +1,96 @@
+// Kjøres med: node --test test/
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const ctx = vm.createContext({});
+vm.runInContext(fs.readFileSync(path.join(__dirname, "..", "stats.js"), "utf8"), ctx);
+const { matchStats } = ctx;
+
+// "HHA" -> tidslinje fra 0-0 i settet, ett element per poeng
+function rally(set, scorers, start) {
+  let home = start ? start.home : 0;
+  let away = start ? start.away : 0;
+  const points = start ? [{ set: set, home: home, away: away, side: null }] : [];
+  for (const c of scorers) {
+    const side = c === "H" ? "home" : "away";
+    if (side === "home") home++;
+    else away++;
+    points.push({ set: set, home: home, away: away, side: side });
+  }
+  return points;
+}
+
+test("side-out og break-point følger forrige poeng", () => {
+  const s = matchStats(rally(1, "HHAAH"), { firstServer: { 1: "home" } });
+  // H (hjemme server: break) H (break) A (side-out) A (break) H (side-out)
+  assert.equal(s.home.breakPoints, 2);
+  assert.equal(s.home.sideOuts, 1);
+  assert.equal(s.away.breakPoints, 1);
+  assert.equal(s.away.sideOuts, 1);
+  assert.equal(s.home.sideOutPct, 0.5);
+  assert.equal(s.away.sideOutPct, 1 / 3);
+  assert.equal(s.home.breakPointPct, 2 / 3);
+  assert.equal(s.tracked, 5);
+});
+
+test("første poeng uten kjent server telles ikke", () => {
+  const s = matchStats(rally(1, "AH"));
+  assert.equal(s.away.sideOuts + s.away.breakPoints, 0);
+  assert.equal(s.home.sideOuts, 1);
+  assert.equal(s.home.breakPointPct, null);
+  assert.equal(s.away.breakPointPct, 0);
+});
+
+test("lengste run og største ledelse per sett", () => {
+  const points = rally(1, "HHHHAH").concat(rally(2, "AAAAAH"));
+  const match = matchStats(points);
+  assert.equal(match.home.longestRun, 4);
+  assert.equal(match.away.longestRun, 5);
+  assert.equal(match.home.biggestLead, 4);
+  assert.equal(match.away.biggestLead, 5);
+
+  const set1 = matchStats(points, { set: 1 });
+  assert.equal(set1.away.longestRun, 1);
+  assert.equal(set1.away.biggestLead, 0);
+  assert.equal(set1.tracked, 6);
+});
+
+test("run teller ikke over settskifte eller gjettet rekkefølge", () => {
+  const points = rally(1, "HHH").concat(rally(2, "HH"));
+  assert.equal(matchStats(points).home.longestRun, 3);
+
+  const approx = [
+    { set: 1, home: 10, away: 10, side: null },
+    { set: 1, home: 11, away: 10, side: "home", approx: true },
+    { set: 1, home: 12, away: 10, side: "home", approx: true },
+    { set: 1, home: 12, away: 11, side: "away", approx: true },
+    { set: 1, home: 12, away: 12, side: "away" },
+  ];
+  const s = matchStats(approx);
+  assert.equal(s.home.longestRun, 0);
+  assert.equal(s.away.longestRun, 1);
+  assert.equal(s.away.breakPoints, 1);
+  assert.equal(s.home.sideOuts + s.home.breakPoints, 0);
+});
+
+test("comeback etter tre poeng bak", () => {
+  const s = matchStats(rally(1, "AAAHHHH"));
+  assert.equal(s.home.comebacks, 1);
+  assert.equal(s.away.comebacks, 0);
+
+  // To poeng bak er ikke nok
+  assert.equal(matchStats(rally(1, "AAHHH")).home.comebacks, 0);
+
+  // Underskudd fra før vi begynte å følge kampen teller også
+  assert.equal(matchStats(rally(3, "HHHHH", { home: 18, away: 21 })).home.comebacks, 1);
+});
+
+test("tom tidslinje", () => {
+  const s = matchStats([]);
+  assert.equal(s.tracked, 0);
+  assert.equal(s.home.sideOutPct, null);
+  assert.equal(matchStats(null).away.longestRun, 0);
+});
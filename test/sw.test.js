@@ -0,0 +1,83 @@
+// Kjøres med: node --test test/
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const source = fs.readFileSync(path.join(__dirname, "..", "sw.js"), "utf8");
+
+// sw.js med falske caches og fetch; respond(url) gir svaret appen får
+function loadWorker(swUrl, serve) {
+  const listeners = {};
+  const stores = new Map();
+  const caches = {
+    open: async (name) => {
+      if (!stores.has(name)) stores.set(name, new Map());
+      const store = stores.get(name);
+      return {
+        match: async (req) => (store.has(req.url) ? store.get(req.url).clone() : undefined),
+        put: async (req, res) => { store.set(req.url, res); },
+        keys: async () => [...store.keys()].map(url => ({ url: url })),
+        delete: async (req) => store.delete(req.url),
+      };
+    },
+  };
+  const self = {
+    location: new URL(swUrl),
+    addEventListener: (type, fn) => { listeners[type] = fn; },
+  };
+  const ctx = vm.createContext({
+    self, caches, URL, Headers, Response, Date, String,
+    fetch: async (req) => serve(req.url),
+  });
+  vm.runInContext(source, ctx);
+
+  async function respond(url) {
+    let answer = null;
+    listeners.fetch({ request: { method: "GET", url: url, mode: "cors" }, respondWith: (p) => { answer = p; } });
+    return answer ? await answer : null;
+  }
+  return { respond };
+}
+
+const json = (body, status = 200) => new Response(JSON.stringify(body), { status: status });
+
+test("datakall med sti i API-basen går via cachen", async () => {
+  const worker = loadWorker("https://app.example.no/sw.js?api=" + encodeURIComponent("https://example.no/api"), () => json([]));
+  assert.ok(await worker.respond("https://example.no/api/live"));
+  assert.ok(await worker.respond("https://example.no/api/teams?limit=1000&offset=0"));
+  // ?api=localhost i utvikling: bare stien
+  assert.ok(await worker.respond("http://localhost:8787/players"));
+  // Strømmen og andre stier under API-et slipper gjennom
+  assert.equal(await worker.respond("https://example.no/api/live/stream"), null);
+  assert.equal(await worker.respond("https://example.no/api/other"), null);
+});
+
+test("uten ?api gjelder de vanlige stiene", async () => {
+  const worker = loadWorker("https://app.example.no/sw.js", () => json([]));
+  assert.ok(await worker.respond("https://volleyball.example.no/live"));
+  assert.equal(await worker.respond("https://volleyball.example.no/api/live"), null);
+});
+
+test("feil fra API-et gir siste lagrede kopi, merket som offline", async () => {
+  let status = 200;
+  const worker = loadWorker("https://app.example.no/sw.js?api=https%3A%2F%2Fexample.no%2Fapi", () =>
+    status === 200 ? json([{ event_id: 1 }]) : json({ error: "down" }, status)
+  );
+  const url = "https://example.no/api/live";
+
+  const fresh = await worker.respond(url);
+  assert.equal(fresh.status, 200);
+  assert.equal(fresh.headers.get("X-Volley-Offline"), null);
+
+  status = 503;
+  const stale = await worker.respond(url);
+  assert.equal(stale.status, 200);
+  assert.match(stale.headers.get("X-Volley-Offline"), /^\d+$/);
+  assert.deepEqual(await stale.json(), [{ event_id: 1 }]);
+
+  // Ingen lagret kopi: feilen går videre til appen
+  const missing = await worker.respond("https://example.no/api/teams");
+  assert.equal(missing.status, 503);
+});
@@ -0,0 +1,37 @@
+/* ===========================
+   Widget for klubbsider (script-tag)
+   =========================== */
+
+// Vanlig script uten React eller Babel, som kan limes inn på en hvilken som helst side:
+//
+//   <script src="https://…/widget.js" data-team="1001" data-size="medium"
+//           data-theme="dark" data-lang="en" data-idle="hide" async></script>
+//
+// Setter inn en iframe med embed.html der scriptet står (samme parametre, se
+// embed.js) og følger høyden den melder fra om. Høyde 0 skjuler widgeten.
+
+(function () {
+  const script = document.currentScript;
+  if (!script) return;
+
+  const EMBED_PARAMS = ["event", "team", "idle", "size", "theme", "lang"];
+  const url = new URL("embed.html", script.src);
+  for (const key of EMBED_PARAMS) {
+    const value = script.dataset[key];
+    if (value) url.searchParams.set(key, value);
+  }
+
+  const frame = document.createElement("iframe");
+  frame.src = url.href;
+  frame.title = "Volleyball live";
+  frame.setAttribute("scrolling", "no");
+  frame.style.cssText = "display:none;width:100%;height:0;border:0;overflow:hidden;background:transparent;";
+  script.parentNode.insertBefore(frame, script.nextSibling);
+
+  window.addEventListener("message", (e) => {
+    if (e.source !== frame.contentWindow || !e.data || e.data.type !== "volley:embed-size") return;
+    const height = Number(e.data.height) || 0;
+    frame.style.height = height + "px";
+    frame.style.display = height > 0 ? "block" : "none";
+  });
+})();